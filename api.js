@@ -0,0 +1,64 @@
+// api.js
+//
+// The programmatic API. Functions resolve to their results and throw the
+// errors from errors.js instead of exiting the process; the CLI in index.js
+// is a thin wrapper over them.
+
+const exportAppSearchEngine = require('./export-app-search-engine');
+const importAppSearchEngine = require('./import-app-search-engine');
+const planAppSearchEngine = require('./plan-app-search-engine');
+const driftAppSearchEngines = require('./drift-app-search-engines');
+const verifyAppSearchEngine = require('./verify-app-search-engine');
+const preflightAppSearchEngine = require('./preflight-app-search-engine');
+const cloneAppSearchEngine = require('./clone-app-search-engine');
+const exportToElasticsearch = require('./export-to-elasticsearch');
+const { buildElasticsearchRequests } = exportToElasticsearch;
+const { lintEngineJson, fixEngineJson, lintEngineFile } = require('./lint-engine-json');
+const { bulkExportEngines, bulkImportEngines } = require('./bulk-directory');
+const { backupEngines, listBackups, restoreEngine } = require('./backup-engines');
+const { exportEditableSections, importEditableSections, readSectionFile } = require('./editable-sections');
+const { exportAnalytics, bulkExportAnalytics, fetchAnalytics } = require('./export-analytics');
+const { upgradeEngineJson, validateEngineJson, readEngineJson, upgradeEngineJsonFile } = require('./engine-format');
+const { configureRequestPolicy, configureTls } = require('./request-policy');
+const { loadConfig, resolveEnvironment } = require('./config-profiles');
+const { EntsporterError, EngineExistsError, EngineTypeMismatchError, ApiError, ValidationError, PreflightError } = require('./errors');
+
+module.exports = {
+  exportAppSearchEngine,
+  importAppSearchEngine,
+  planAppSearchEngine,
+  driftAppSearchEngines,
+  verifyAppSearchEngine,
+  preflightAppSearchEngine,
+  cloneAppSearchEngine,
+  exportToElasticsearch,
+  buildElasticsearchRequests,
+  bulkExportEngines,
+  bulkImportEngines,
+  backupEngines,
+  listBackups,
+  restoreEngine,
+  exportEditableSections,
+  importEditableSections,
+  readSectionFile,
+  exportAnalytics,
+  bulkExportAnalytics,
+  fetchAnalytics,
+  upgradeEngineJson,
+  validateEngineJson,
+  readEngineJson,
+  upgradeEngineJsonFile,
+  lintEngineJson,
+  fixEngineJson,
+  lintEngineFile,
+  configureRequestPolicy,
+  configureTls,
+  loadConfig,
+  resolveEnvironment,
+  EntsporterError,
+  EngineExistsError,
+  EngineTypeMismatchError,
+  ApiError,
+  ValidationError,
+  PreflightError
+};
@@ -0,0 +1,279 @@
+// backup-engines.js
+//
+// Timestamped configuration backups of a cluster's engines, for running
+// nightly. Every backup is a bulk-export directory under the backup root, so
+// it carries a manifest with the checksum of every file:
+//
+//   <root>/<timestamp>/manifest.json
+//   <root>/<timestamp>/<engine>.json
+//   <root>/<timestamp>/<engine>.documents.ndjson      with --include-documents
+//
+// After a backup, older snapshots are pruned to the retention policy: the
+// newest snapshot of each of the last keepDaily days and of each of the last
+// keepWeekly weeks (starting Monday, UTC) is kept, as is the newest overall.
+// Restore imports one engine from the newest snapshot taken at or before a
+// point in time.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { InvalidArgumentError } = require('commander');
+
+const importAppSearchEngine = require('./import-app-search-engine');
+const { bulkExportEngines, readManifest, checkManifestFiles } = require('./bulk-directory');
+const { formatTable } = require('./console-table');
+const { EntsporterError } = require('./errors');
+
+const DEFAULT_KEEP_DAILY = 7;
+const DEFAULT_KEEP_WEEKLY = 4;
+// new Date().toISOString() with ':' and '.' replaced, like import snapshots
+const SNAPSHOT_NAME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+/* -----------------------
+   Snapshots
+   ----------------------- */
+
+function snapshotNameFor(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function snapshotTimeOf(name) {
+  const match = SNAPSHOT_NAME_PATTERN.exec(name);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+// Resolves to the snapshots under the backup root, newest first:
+// { name, path, time, manifest }. manifest is null for a snapshot without a
+// readable manifest, i.e. a backup that was interrupted or is still running.
+async function listSnapshots(backupRoot) {
+  let entries;
+  try {
+    entries = await fs.readdir(backupRoot, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const snapshots = [];
+  for (const entry of entries) {
+    const time = entry.isDirectory() ? snapshotTimeOf(entry.name) : null;
+    if (!time) continue;
+    const snapshotPath = path.join(backupRoot, entry.name);
+    const manifest = await readManifest(snapshotPath).catch(() => null);
+    snapshots.push({ name: entry.name, path: snapshotPath, time, manifest });
+  }
+  return snapshots.sort((a, b) => b.time - a.time);
+}
+
+/* -----------------------
+   Retention
+   ----------------------- */
+
+const dayOf = (time) => time.toISOString().slice(0, 10);
+
+// The Monday of the (UTC) week the time falls in
+function weekOf(time) {
+  const monday = new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayOf(monday);
+}
+
+// Splits complete snapshots (newest first) into { keep, prune }. Each kept
+// snapshot has the reasons it is kept, e.g. ['daily', 'weekly'].
+function planRetention(snapshots, { keepDaily = DEFAULT_KEEP_DAILY, keepWeekly = DEFAULT_KEEP_WEEKLY } = {}) {
+  const days = new Set();
+  const weeks = new Set();
+  const keep = [];
+  const prune = [];
+
+  snapshots.forEach((snapshot, i) => {
+    const reasons = i === 0 ? ['latest'] : [];
+    const day = dayOf(snapshot.time);
+    if (!days.has(day) && days.size < keepDaily) {
+      days.add(day);
+      reasons.push('daily');
+    }
+    const week = weekOf(snapshot.time);
+    if (!weeks.has(week) && weeks.size < keepWeekly) {
+      weeks.add(week);
+      reasons.push('weekly');
+    }
+    if (reasons.length) keep.push(Object.assign({}, snapshot, { reasons }));
+    else prune.push(snapshot);
+  });
+  return { keep, prune };
+}
+
+// Deletes the snapshots the retention policy does not keep, and interrupted
+// backups older than the newest snapshot. Resolves to the pruned names.
+async function pruneSnapshots(backupRoot, options) {
+  const snapshots = await listSnapshots(backupRoot);
+  const complete = snapshots.filter(snapshot => snapshot.manifest);
+  const { keep, prune } = planRetention(complete, options);
+  const newest = complete.length ? complete[0].time : null;
+  const interrupted = snapshots.filter(snapshot => !snapshot.manifest && newest && snapshot.time < newest);
+
+  console.log(`Retention: ${options.keepDaily} daily, ${options.keepWeekly} weekly. ` +
+    `Keeping ${keep.length} snapshot(s), pruning ${prune.length + interrupted.length}.`);
+  const pruned = [];
+  for (const snapshot of [...prune, ...interrupted]) {
+    console.log(`${options.dryRun ? 'Would prune' : 'Pruning'} snapshot ${snapshot.name}${snapshot.manifest ? '' : ' (interrupted)'}`);
+    if (!options.dryRun) {
+      await fs.rm(snapshot.path, { recursive: true, force: true });
+    }
+    pruned.push(snapshot.name);
+  }
+  return pruned;
+}
+
+/* -----------------------
+   Backup
+   ----------------------- */
+
+// Options: appSearchEndpoint/appSearchPrivateKey, backupRoot, includeDocuments,
+// only/skip, keepDaily/keepWeekly, prune (false to keep every snapshot) and
+// dryRun. Resolves to { snapshot, manifest, pruned }; snapshot is null on a
+// dry run.
+async function backupEngines(engineFilter, options) {
+  const { backupRoot } = options;
+  const retention = {
+    keepDaily: options.keepDaily === undefined ? DEFAULT_KEEP_DAILY : options.keepDaily,
+    keepWeekly: options.keepWeekly === undefined ? DEFAULT_KEEP_WEEKLY : options.keepWeekly,
+    dryRun: options.dryRun
+  };
+  const snapshot = snapshotNameFor(new Date());
+  console.log(`Backing up engines to snapshot ${snapshot} in ${backupRoot}`);
+
+  const manifest = await bulkExportEngines(engineFilter, {
+    fromEndpoint: options.appSearchEndpoint,
+    fromKey: options.appSearchPrivateKey,
+    outputDir: path.join(backupRoot, snapshot),
+    includeDocuments: options.includeDocuments,
+    only: options.only,
+    skip: options.skip,
+    dryRun: options.dryRun
+  });
+
+  let pruned = [];
+  if (options.prune === false) {
+    console.log('Not pruning (--no-prune).');
+  } else if (manifest && manifest.failed.length) {
+    // A partial backup must not push a complete one out of the retention window
+    console.warn(`Not pruning: ${manifest.failed.length} engine(s) failed to back up.`);
+  } else {
+    pruned = await pruneSnapshots(backupRoot, retention);
+  }
+  return { snapshot: manifest ? snapshot : null, manifest, pruned };
+}
+
+/* -----------------------
+   List and restore
+   ----------------------- */
+
+// Options: engineName (only snapshots holding that engine). Prints a table
+// and resolves to [{ name, path, time, complete, engines, failed, documents }].
+async function listBackups(backupRoot, options = {}) {
+  const snapshots = (await listSnapshots(backupRoot))
+    .filter(snapshot => !options.engineName ||
+      (snapshot.manifest && snapshot.manifest.engines.some(e => e.name === options.engineName)));
+  const backups = snapshots.map(snapshot => ({
+    name: snapshot.name,
+    path: snapshot.path,
+    time: snapshot.time.toISOString(),
+    complete: Boolean(snapshot.manifest),
+    engines: snapshot.manifest ? snapshot.manifest.engines.map(e => e.name) : [],
+    failed: snapshot.manifest ? snapshot.manifest.failed.map(e => e.name) : [],
+    documents: Boolean(snapshot.manifest && snapshot.manifest.include_documents)
+  }));
+
+  console.log(`Backups in ${backupRoot}${options.engineName ? ` holding engine ${options.engineName}` : ''}:`);
+  formatTable(['Snapshot', 'Taken at', 'Engines', 'Failed', 'Documents', 'Status'],
+    backups.map(b => [b.name, b.time, b.engines.length, b.failed.length, b.documents ? 'yes' : 'no', b.complete ? 'complete' : 'incomplete']))
+    .forEach(line => console.log(line));
+  return backups;
+}
+
+// A snapshot name, or anything Date can parse (e.g. 2024-05-01T12:00:00Z). A
+// date alone (2024-05-01) is the end of that day, UTC, so the last snapshot
+// of the day is restored.
+function parsePointInTime(value) {
+  const time = snapshotTimeOf(value) || new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new EntsporterError(`--at "${value}" is not a snapshot name or a date/time`);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(time.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return time;
+}
+
+// The newest complete snapshot taken at or before `at` that holds the engine
+async function findSnapshot(backupRoot, engineName, at) {
+  const candidates = (await listSnapshots(backupRoot))
+    .filter(snapshot => snapshot.manifest && snapshot.manifest.engines.some(e => e.name === engineName));
+  if (!candidates.length) {
+    throw new EntsporterError(`No backup of engine ${engineName} in ${backupRoot}`);
+  }
+  const time = at ? parsePointInTime(at) : null;
+  const snapshot = time ? candidates.find(candidate => candidate.time <= time) : candidates[0];
+  if (!snapshot) {
+    const oldest = candidates[candidates.length - 1];
+    throw new EntsporterError(`No backup of engine ${engineName} at or before ${time.toISOString()}, the oldest is ${oldest.name}`);
+  }
+  return snapshot;
+}
+
+// Options: appSearchEndpoint/appSearchPrivateKey, backupRoot, at (default:
+// the newest snapshot), targetEngine (default: engineName), includeDocuments,
+// and the import options force, update, only/skip, snapshotDir (default: the
+// backup root), preflight/fieldLimit and dryRun. Resolves to the imported
+// engine JSON.
+async function restoreEngine(engineName, options) {
+  const { backupRoot } = options;
+  const snapshot = await findSnapshot(backupRoot, engineName, options.at);
+  const entry = snapshot.manifest.engines.find(e => e.name === engineName);
+  const targetEngine = options.targetEngine || engineName;
+  console.log(`Restoring engine ${engineName} from snapshot ${snapshot.name} into ${targetEngine}`);
+
+  if (options.includeDocuments && !snapshot.manifest.include_documents) {
+    throw new EntsporterError(`Snapshot ${snapshot.name} has no documents, it was taken without --include-documents`);
+  }
+  const problems = await checkManifestFiles(snapshot.path, [entry]);
+  if (problems.length) {
+    throw new EntsporterError(`Snapshot ${snapshot.name} is damaged:\n${problems.map(problem => `  ${problem}`).join('\n')}`);
+  }
+
+  return importAppSearchEngine(targetEngine, Object.assign({}, options, {
+    inputJson: path.join(snapshot.path, entry.files[0].file),
+    includeDocuments: options.includeDocuments && entry.type !== 'meta',
+    snapshotDir: options.snapshotDir || backupRoot
+  }));
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+function parseKeepCount(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new InvalidArgumentError('Must be a whole number >= 0.');
+  }
+  return parsed;
+}
+
+function addRetentionOptions(command) {
+  return command
+    .option('--keep-daily <n>', 'Number of days to keep the newest snapshot of', parseKeepCount, DEFAULT_KEEP_DAILY)
+    .option('--keep-weekly <n>', 'Number of weeks to keep the newest snapshot of', parseKeepCount, DEFAULT_KEEP_WEEKLY)
+    .option('--no-prune', 'Keep every snapshot, do not apply the retention policy');
+}
+
+module.exports = {
+  backupEngines,
+  listBackups,
+  restoreEngine,
+  planRetention,
+  pruneSnapshots,
+  parsePointInTime,
+  addRetentionOptions
+};
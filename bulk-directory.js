@@ -0,0 +1,302 @@
+// bulk-directory.js
+//
+// Two-phase bulk migration for clusters that cannot reach each other:
+// bulk-export writes every matching engine of one cluster into a directory,
+// the directory is carried across, and bulk-import imports it into the other.
+//
+//   <dir>/manifest.json
+//   <dir>/<engine>.json
+//   <dir>/<engine>.documents.ndjson      with --include-documents
+//
+// The manifest lists the engines in import order (default engines before meta
+// engines) with their type, section counts and the sha256 of every file, so a
+// damaged or incomplete copy is caught before anything is imported.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const exportAppSearchEngine = require('./export-app-search-engine');
+const importAppSearchEngine = require('./import-app-search-engine');
+const { listAllEngines, filterEngines, orderEnginesForMigration } = require('./engine-list');
+const { documentsPathFor } = require('./engine-documents');
+const { buildMetadata, readEngineJson } = require('./engine-format');
+const { pickSections } = require('./engine-sections');
+const { preflightEngines } = require('./preflight-app-search-engine');
+const { formatTable } = require('./console-table');
+const { createClient } = require('./request-policy');
+const { EntsporterError, ValidationError } = require('./errors');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/* -----------------------
+   Manifest
+   ----------------------- */
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function countsOf(engineJson, documentCount) {
+  const counts = {
+    schema_fields: engineJson.schema ? Object.keys(engineJson.schema).length : null,
+    synonyms: Array.isArray(engineJson.synonyms) ? engineJson.synonyms.length : null,
+    curations: Array.isArray(engineJson.curations) ? engineJson.curations.length : null,
+    crawler_domains: engineJson.crawler && Array.isArray(engineJson.crawler.domains) ? engineJson.crawler.domains.length : null
+  };
+  if (documentCount !== undefined) counts.documents = documentCount;
+  return counts;
+}
+
+async function countLines(filePath) {
+  let count = 0;
+  let last = '\n';
+  for await (const chunk of fs.createReadStream(filePath)) {
+    for (let i = 0; i < chunk.length; i++) {
+      if (chunk[i] === 10) count += 1;
+    }
+    if (chunk.length) last = String.fromCharCode(chunk[chunk.length - 1]);
+  }
+  return last === '\n' ? count : count + 1;
+}
+
+async function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.promises.readFile(manifestPath, { encoding: 'utf8' }));
+  } catch (err) {
+    throw new ValidationError(`Could not read manifest ${manifestPath}: ${err.message || err}`, {
+      source: manifestPath,
+      errors: [`$: ${err.message || err}`]
+    });
+  }
+  if (!manifest || manifest.manifest_version !== MANIFEST_VERSION || !Array.isArray(manifest.engines)) {
+    throw new ValidationError(`Manifest ${manifestPath} is not a version ${MANIFEST_VERSION} bulk export manifest`, {
+      source: manifestPath,
+      errors: ['$.manifest_version: unsupported or missing']
+    });
+  }
+  return manifest;
+}
+
+// Returns a list of "<file>: <problem>" strings, empty when every file matches
+async function checkManifestFiles(dir, engines) {
+  const problems = [];
+  for (const engine of engines) {
+    for (const { file, sha256 } of engine.files) {
+      const filePath = path.join(dir, file);
+      const actual = await sha256File(filePath).catch(err => (err.code === 'ENOENT' ? null : Promise.reject(err)));
+      if (actual === null) {
+        problems.push(`${file}: missing`);
+      } else if (actual !== sha256) {
+        problems.push(`${file}: checksum mismatch`);
+      }
+    }
+  }
+  return problems;
+}
+
+/* -----------------------
+   Export
+   ----------------------- */
+
+// Options: fromEndpoint/fromKey, outputDir, includeDocuments, only/skip,
+// dryRun and force (replace an existing manifest). Resolves to the manifest.
+async function bulkExportEngines(engineFilter, options) {
+  const { fromEndpoint, fromKey, outputDir } = options;
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+
+  console.log(`Source endpoint: ${fromEndpoint}`);
+  console.log(`Output dir: ${outputDir}`);
+  if (engineFilter) {
+    console.log(`Engine name filter: "${engineFilter}" (substring match)`);
+  }
+
+  const exists = await fs.promises.access(manifestPath).then(() => true, () => false);
+  if (exists && !options.force && !options.dryRun) {
+    throw new EntsporterError(`${manifestPath} already exists. Use --force to replace the export, or choose another --output-dir.`);
+  }
+
+  console.log('Listing engines from source cluster...');
+  const client = createClient(fromEndpoint, fromKey);
+  const engines = orderEnginesForMigration(filterEngines(await listAllEngines(client), engineFilter));
+  console.log(`${engines.length} engine(s) match filter.`);
+
+  if (options.dryRun) {
+    console.log('Dry-run mode: engines that would be exported:');
+    engines.forEach(e => console.log(` - ${e.name} (type: ${e.type}, language: ${e.language || 'none'})`));
+    return null;
+  }
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  // An interrupted export must not leave the previous manifest behind
+  await fs.promises.rm(manifestPath, { force: true });
+
+  const manifest = Object.assign({ manifest_version: MANIFEST_VERSION }, buildMetadata({ appSearchEndpoint: fromEndpoint }), {
+    engine_filter: engineFilter,
+    include_documents: Boolean(options.includeDocuments),
+    engines: [],
+    failed: []
+  });
+
+  for (const engine of engines) {
+    const jsonFile = `${engine.name}.json`;
+    const jsonPath = path.join(outputDir, jsonFile);
+    console.log(`Exporting engine ${engine.name} -> ${jsonPath}`);
+    try {
+      const engineJson = await exportAppSearchEngine(engine.name, {
+        appSearchEndpoint: fromEndpoint,
+        appSearchPrivateKey: fromKey,
+        outputJson: jsonPath,
+        includeDocuments: options.includeDocuments,
+        only: options.only,
+        skip: options.skip
+      });
+
+      const files = [{ file: jsonFile, sha256: await sha256File(jsonPath) }];
+      let documentCount;
+      if (options.includeDocuments && engine.type !== 'meta') {
+        const documentsPath = documentsPathFor(jsonPath);
+        files.push({ file: path.basename(documentsPath), sha256: await sha256File(documentsPath) });
+        documentCount = await countLines(documentsPath);
+      }
+      manifest.engines.push({
+        name: engine.name,
+        type: engine.type || 'default',
+        language: engine.language || null,
+        source_engines: engine.type === 'meta' ? (engine.source_engines || []) : undefined,
+        counts: countsOf(engineJson, documentCount),
+        files
+      });
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error(`Failed to export engine "${engine.name}":`, message);
+      manifest.failed.push({ name: engine.name, error: message });
+    }
+  }
+
+  await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, undefined, 2));
+  console.log(`Wrote manifest ${manifestPath}: ${manifest.engines.length} engine(s) exported, ${manifest.failed.length} failed.`);
+  return manifest;
+}
+
+/* -----------------------
+   Import
+   ----------------------- */
+
+// Options: toEndpoint/toKey, inputDir, targetPrefix, includeDocuments,
+// only/skip, dryRun, force and preflight/fieldLimit. Every file is checked
+// against the manifest, and every engine with the preflight checks, before
+// the first engine is imported. Resolves to one result per engine,
+// { name, target, status: 'imported' | 'failed' | 'planned', error }, with
+// crawler_not_migrated: [{ item, reason }] when a crawler was imported.
+async function bulkImportEngines(engineFilter, options) {
+  const { toEndpoint, toKey, inputDir, targetPrefix = '' } = options;
+
+  console.log(`Target endpoint: ${toEndpoint}`);
+  console.log(`Input dir: ${inputDir}`);
+  console.log(`Target name prefix: "${targetPrefix}"`);
+  if (engineFilter) {
+    console.log(`Engine name filter: "${engineFilter}" (substring match)`);
+  }
+
+  const manifest = await readManifest(inputDir);
+  console.log(`Manifest: ${manifest.engines.length} engine(s) exported from ${manifest.source_endpoint} at ${manifest.exported_at}`);
+  if (manifest.failed && manifest.failed.length) {
+    console.warn(`Not in this export, they failed to export: ${manifest.failed.map(entry => entry.name).join(', ')}`);
+  }
+  if (options.includeDocuments && !manifest.include_documents) {
+    throw new EntsporterError(`The export in ${inputDir} has no documents, it was made without --include-documents`);
+  }
+
+  const engines = filterEngines(manifest.engines, engineFilter);
+  console.log(`${engines.length} engine(s) match filter.`);
+
+  const problems = await checkManifestFiles(inputDir, engines);
+  if (problems.length) {
+    throw new ValidationError(`Files in ${inputDir} do not match the manifest:\n${problems.map(problem => `  ${problem}`).join('\n')}`, {
+      source: path.join(inputDir, MANIFEST_FILE),
+      errors: problems
+    });
+  }
+  console.log('All files match the manifest checksums.');
+
+  const importedNames = new Set(engines.map(e => e.name));
+  for (const engine of engines.filter(e => e.type === 'meta')) {
+    const outside = (engine.source_engines || []).filter(name => !importedNames.has(name));
+    if (outside.length) {
+      console.warn(`Meta engine "${engine.name}" uses source engines outside this import, ` +
+        `they must already exist on the target: ${outside.map(name => `${targetPrefix}${name}`).join(', ')}`);
+    }
+  }
+
+  if (options.preflight !== false) {
+    const entries = [];
+    for (const engine of engines) {
+      const engineJson = await readEngineJson(path.join(inputDir, engine.files[0].file));
+      entries.push({ engineName: `${targetPrefix}${engine.name}`, engineJson: pickSections(engineJson, options) });
+    }
+    await preflightEngines(createClient(toEndpoint, toKey), entries, Object.assign({}, options, {
+      appSearchEndpoint: toEndpoint,
+      appSearchPrivateKey: toKey
+    }));
+  }
+
+  if (options.dryRun) {
+    console.log('Dry-run mode: engines that would be imported:');
+    engines.forEach(e => console.log(` - ${e.name} -> ${targetPrefix}${e.name} (type: ${e.type}, language: ${e.language || 'none'})`));
+    return engines.map(e => ({ name: e.name, target: `${targetPrefix}${e.name}`, status: 'planned' }));
+  }
+
+  // The manifest is already in import order
+  const results = [];
+  for (const engine of engines) {
+    const target = `${targetPrefix}${engine.name}`;
+    try {
+      const engineJson = await importAppSearchEngine(target, {
+        appSearchEndpoint: toEndpoint,
+        appSearchPrivateKey: toKey,
+        inputJson: path.join(inputDir, engine.files[0].file),
+        force: options.force,
+        includeDocuments: options.includeDocuments && engine.type !== 'meta',
+        sourceEnginePrefix: targetPrefix,
+        snapshotDir: options.snapshotDir,
+        only: options.only,
+        skip: options.skip,
+        applyLogSettings: options.applyLogSettings,
+        preflight: false
+      });
+      const result = { name: engine.name, target, status: 'imported' };
+      if (engineJson.crawlerReport) result.crawler_not_migrated = engineJson.crawlerReport.notMigrated;
+      results.push(result);
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error(`Failed to import engine "${engine.name}":`, message);
+      results.push({ name: engine.name, target, status: 'failed', error: message });
+    }
+  }
+
+  console.log('');
+  formatTable(['Engine', 'Target engine', 'Status', 'Crawler not migrated', 'Error'],
+    results.map(result => [result.name, result.target, result.status,
+      result.crawler_not_migrated ? String(result.crawler_not_migrated.length) : '', result.error || '']))
+    .forEach(line => console.log(line));
+  console.log('');
+  return results;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  bulkExportEngines,
+  bulkImportEngines,
+  readManifest,
+  checkManifestFiles
+};
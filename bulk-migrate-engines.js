@@ -4,49 +4,244 @@
 // exports each to JSON, and imports them into a target cluster
 // using the existing exporter/importer in this repo.
 
-const { Client } = require('@elastic/enterprise-search');
 const fs = require('fs/promises');
 const path = require('path');
 const { program } = require('commander');
 
 const exportAppSearchEngine = require('./export-app-search-engine');
+const { buildEngineJson } = require('./export-app-search-engine');
 const importAppSearchEngine = require('./import-app-search-engine');
+const { openBulkState } = require('./bulk-state');
+const { formatTable } = require('./console-table');
+const { createClient, configureRequestPolicy, addRequestPolicyOptions } = require('./request-policy');
+const { addEnvironmentOptions, applyEnvironmentOptions } = require('./config-profiles');
+const { installConsoleRedaction } = require('./redact');
+const { readTransformRules, mapEngineName, applyTransform } = require('./transform-rules');
+const verifyAppSearchEngine = require('./verify-app-search-engine');
+const { readSmokeQueries, addSmokeQueryOptions } = verifyAppSearchEngine;
+const { addSectionOptions, pickSections } = require('./engine-sections');
+const { parsePositiveInt } = require('./option-parsers');
+const { listAllEngines, filterEngines, orderEnginesForMigration } = require('./engine-list');
+const { preflightEngines, addPreflightOptions } = require('./preflight-app-search-engine');
+const { addEngineSettingsOptions } = require('./engine-settings');
+const { readEngineJson } = require('./engine-format');
 
-async function listAllEngines(client) {
-  const all = [];
-  let page = 1;
+// Runs worker over items with at most `concurrency` calls in flight
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// --transform engine name rules first, then --target-prefix
+function targetNameFor(engineName, options) {
+  return `${options.targetPrefix}${mapEngineName(options.transform, engineName)}`;
+}
+
+const exportPathFor = (engineName, options) => path.join(options.outputDir, `${engineName}.json`);
 
-  while (true) {
-    const resp = await client.app.listEngines({ page: { current: page } });
+// Whether the engine's export file from a previous run can be imported as is
+async function hasExport(engineName, options, state) {
+  const previous = state.get(engineName) || {};
+  return (previous.status === 'exported' ||
+    (previous.status === 'failed' && previous.failed_step === 'import')) &&
+    await fs.access(exportPathFor(engineName, options)).then(() => true, () => false);
+}
 
-    if (!resp || !Array.isArray(resp.results)) break;
+// Exports one engine to its export file and records it in the state file.
+// Resolves to the engine JSON.
+async function exportEngine(engine, options, state) {
+  const jsonPath = exportPathFor(engine.name, options);
+  await state.update(engine.name, { target: targetNameFor(engine.name, options), export_file: jsonPath, status: 'pending', failed_step: null, error: null });
+  const engineJson = await exportAppSearchEngine(engine.name, {
+    appSearchEndpoint: options.fromEndpoint,
+    appSearchPrivateKey: options.fromKey,
+    outputJson: jsonPath,
+    includeDocuments: options.includeDocuments,
+    only: options.only,
+    skip: options.skip
+  });
+  await state.update(engine.name, { status: 'exported' });
+  return engineJson;
+}
 
-    all.push(...resp.results);
+// Exports one engine and imports it into the target, recording progress in
+// the state file. Resolves to the outcome for the summary table.
+async function migrateEngine(engine, options, state) {
+  const { toEndpoint, toKey, targetPrefix } = options;
+  const srcName = engine.name;
+  const dstName = targetNameFor(srcName, options);
+  const jsonPath = exportPathFor(srcName, options);
+  const previous = state.get(srcName) || {};
 
-    const metaPage = resp.meta && resp.meta.page;
-    if (!metaPage || page >= metaPage.total_pages) break;
-    page += 1;
+  if (previous.status === 'imported') {
+    console.log(`Skipping engine "${srcName}", already imported in a previous run.`);
+    return 'skipped';
   }
 
-  return all;
+  const exportedBefore = await hasExport(srcName, options, state);
+
+  console.log('===============================================');
+  console.log(`Processing engine: ${srcName}`);
+  console.log(` -> Export file: ${jsonPath}`);
+  console.log(` -> Target engine: ${dstName}`);
+  console.log('===============================================');
+
+  let step = 'export';
+  try {
+    // 1) Export from source, unless a previous run did
+    if (exportedBefore) {
+      console.log(`Reusing export file: ${jsonPath}`);
+    } else {
+      await exportEngine(engine, options, state);
+    }
+
+    // 2) Import into target
+    step = 'import';
+    const importedJson = await importAppSearchEngine(dstName, {
+      appSearchEndpoint: toEndpoint,
+      appSearchPrivateKey: toKey,
+      inputJson: jsonPath,
+      force: options.force,
+      includeDocuments: options.includeDocuments,
+      sourceEnginePrefix: targetPrefix,
+      transform: options.transform,
+      only: options.only,
+      skip: options.skip,
+      applyLogSettings: options.applyLogSettings,
+      // The whole migration was checked before the first engine
+      preflight: false
+    });
+    // Crawler items that were not migrated leave the engine imported, they are
+    // listed in the state file for fixing by hand
+    const crawlerReport = importedJson.crawlerReport;
+    await state.update(srcName, {
+      status: 'imported',
+      failed_step: null,
+      error: null,
+      verification: null,
+      crawler_not_migrated: crawlerReport ? crawlerReport.notMigrated : null
+    });
+
+    console.log(`Completed migration for engine "${srcName}" -> "${dstName}"`);
+    if (options.verify) {
+      await verifyMigratedEngine(srcName, dstName, importedJson, options, state);
+    }
+    return 'imported';
+  } catch (err) {
+    const message = err && err.message ? err.message : String(err);
+    console.error(`Failed to migrate engine "${srcName}":`, message);
+    await state.update(srcName, { target: dstName, status: 'failed', failed_step: step, error: message });
+    return 'failed';
+  }
+}
+
+// Checks every engine against the target before the first one is imported,
+// so the run stops with one report instead of failing engine by engine. Only
+// what the checks need (read_only and the schema) is read from the source,
+// with --concurrency engines at a time; the full exports are left to the
+// workers. An engine that cannot be read is marked failed in the state file.
+// Resolves to the names of those engines.
+async function preflightMigration(engines, options, state) {
+  console.log(`Running preflight checks for ${engines.length} engine(s)...`);
+  const sourceClient = createClient(options.fromEndpoint, options.fromKey);
+  const entries = new Map();
+  const unreadable = new Set();
+  await runWithConcurrency(engines, options.concurrency, async (engine) => {
+    try {
+      const engineJson = await hasExport(engine.name, options, state)
+        ? await readEngineJson(exportPathFor(engine.name, options))
+        : await buildEngineJson(sourceClient, engine.name, { only: ['schema'] });
+      entries.set(engine.name, {
+        engineName: targetNameFor(engine.name, options),
+        engineJson: pickSections(await applyTransform(engineJson, options.transform), options)
+      });
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error(`Failed to read engine "${engine.name}" for the preflight checks:`, message);
+      await state.update(engine.name, { target: targetNameFor(engine.name, options), status: 'failed', failed_step: 'export', error: message });
+      unreadable.add(engine.name);
+    }
+  });
+  // The report lists the engines in migration order
+  await preflightEngines(createClient(options.toEndpoint, options.toKey), engines.filter(e => entries.has(e.name)).map(e => entries.get(e.name)),
+    Object.assign({}, options, {
+      appSearchEndpoint: options.toEndpoint,
+      appSearchPrivateKey: options.toKey
+    }));
+  return unreadable;
+}
+
+// Verification problems are recorded on the engine, the import itself succeeded
+async function verifyMigratedEngine(srcName, dstName, importedJson, options, state) {
+  try {
+    const report = await verifyAppSearchEngine(dstName, {
+      appSearchEndpoint: options.toEndpoint,
+      appSearchPrivateKey: options.toKey,
+      engineJson: importedJson,
+      sourceEndpoint: options.fromEndpoint,
+      sourceKey: options.fromKey,
+      sourceEngine: srcName,
+      smokeQueries: options.smokeQueries,
+      topN: options.topN,
+      only: options.only,
+      skip: options.skip
+    });
+    await state.update(srcName, {
+      verification: report.ok ? 'passed' : 'failed',
+      verification_summary: `${report.configuration.changes} configuration mismatch(es), ` +
+        `${report.ranking.differences} ranking difference(s)`
+    });
+  } catch (err) {
+    const message = err && err.message ? err.message : String(err);
+    console.error(`Could not verify engine "${dstName}":`, message);
+    await state.update(srcName, { verification: 'error', verification_summary: message });
+  }
 }
 
 async function main() {
+  installConsoleRedaction();
+
   program
     .name('entsporter-bulk')
     .description('Bulk export/import all App Search engines between clusters')
-    .requiredOption('--from-endpoint <value>', 'Source App Search endpoint')
-    .requiredOption('--from-key <value>', 'Source App Search private key')
-    .requiredOption('--to-endpoint <value>', 'Target App Search endpoint')
-    .requiredOption('--to-key <value>', 'Target App Search private key')
+    .option('--from-endpoint <value>', 'Source App Search endpoint (or use --from-env)')
+    .option('--from-key <value>', 'Source App Search private key (or use --from-env)')
+    .option('--to-endpoint <value>', 'Target App Search endpoint (or use --to-env)')
+    .option('--to-key <value>', 'Target App Search private key (or use --to-env)')
     .option('--output-dir <value>', 'Directory to store engine JSON files', './engines-export')
     .option('--target-prefix <value>', 'Prefix for target engine names', '')
     .option('--dry-run', 'Only list engines, do not export/import', false)
-    .option('--force', 'Delete target engine if it already exists');
+    .option('--force', 'Delete target engine if it already exists')
+    .option('--include-documents', 'Also migrate all documents through an NDJSON file per engine')
+    .option('--concurrency <n>', 'Number of engines to migrate in parallel', parsePositiveInt, 1)
+    .option('--state-file <value>', 'Checkpoint file with per-engine status (default: <output-dir>/bulk-state.json)')
+    .option('--resume', 'Skip engines imported by a previous run and retry the failed ones')
+    .option('--transform <file>', 'YAML or JSON transform rules applied to every engine before importing')
+    .option('--verify', 'Verify every imported engine against its export and with the smoke queries (exits with code 2 on differences)');
+  addSmokeQueryOptions(program, { withSourceCluster: false });
+  addSectionOptions(program);
+  addPreflightOptions(program);
+  addEngineSettingsOptions(program);
+
+  addEnvironmentOptions(program, ['fromEnv', 'toEnv']);
+  addRequestPolicyOptions(program);
 
   program.argument('[engine-filter]', 'Optional substring filter for engine names', '');
 
-  program.action(async (engineFilter, options) => {
+  program.action(async (engineFilter, cliOptions) => {
+    await applyEnvironmentOptions(program);
+    // Rules are read once and shared by every engine
+    const options = Object.assign({}, cliOptions, {
+      transform: cliOptions.transform ? await readTransformRules(cliOptions.transform) : null,
+      smokeQueries: cliOptions.smokeQueries ? await readSmokeQueries(cliOptions.smokeQueries) : null
+    });
     const {
       fromEndpoint,
       fromKey,
@@ -56,6 +251,7 @@ async function main() {
       targetPrefix,
       dryRun
     } = options;
+    configureRequestPolicy(options);
 
     console.log(`Source endpoint: ${fromEndpoint}`);
     console.log(`Target endpoint: ${toEndpoint}`);
@@ -64,16 +260,16 @@ async function main() {
     if (engineFilter) {
       console.log(`Engine name filter: "${engineFilter}" (substring match)`);
     }
+    if (options.transform) {
+      console.log(`Transform rules: ${cliOptions.transform}`);
+    }
     if (dryRun) {
       console.log('Dry-run mode: NO export/import will be performed.');
     }
 
     await fs.mkdir(outputDir, { recursive: true });
 
-    const sourceClient = new Client({
-      url: fromEndpoint,
-      auth: { token: fromKey }
-    });
+    const sourceClient = createClient(fromEndpoint, fromKey);
 
     console.log('Listing engines from source cluster...');
     const engines = await listAllEngines(sourceClient);
@@ -82,9 +278,7 @@ async function main() {
       return;
     }
 
-    const filteredEngines = engineFilter
-      ? engines.filter(e => String(e.name).includes(engineFilter))
-      : engines;
+    const filteredEngines = orderEnginesForMigration(filterEngines(engines, engineFilter));
 
     console.log(`Found ${engines.length} engine(s), ${filteredEngines.length} match filter.`);
 
@@ -96,53 +290,99 @@ async function main() {
     if (dryRun) {
       console.log('Engines to process:');
       filteredEngines.forEach(e => {
-        console.log(` - ${e.name} (type: ${e.type}, language: ${e.language || 'none'})`);
+        console.log(` - ${e.name} -> ${targetNameFor(e.name, options)} (type: ${e.type}, language: ${e.language || 'none'})`);
       });
+      // With transform rules, show what would be imported (reads the source only)
+      if (options.transform) {
+        for (const engine of filteredEngines) {
+          const engineJson = await exportAppSearchEngine(engine.name, {
+            appSearchEndpoint: fromEndpoint,
+            appSearchPrivateKey: fromKey,
+            only: options.only,
+            skip: options.skip
+          });
+          console.log(`Transformed engine JSON for ${targetNameFor(engine.name, options)}:`);
+          console.log(JSON.stringify(await applyTransform(engineJson, options.transform), undefined, 2));
+        }
+      }
       return;
     }
 
-    // Process engines sequentially to keep things predictable
-    for (const engine of filteredEngines) {
-      const srcName = engine.name;
-      const dstName = `${targetPrefix}${srcName}`;
-      const jsonPath = path.join(outputDir, `${srcName}.json`);
-
-      console.log('===============================================');
-      console.log(`Processing engine: ${srcName}`);
-      console.log(` -> Export file: ${jsonPath}`);
-      console.log(` -> Target engine: ${dstName}`);
-      console.log('===============================================');
-
-      try {
-        // 1) Export from source
-        await exportAppSearchEngine(srcName, {
-          appSearchEndpoint: fromEndpoint,
-          appSearchPrivateKey: fromKey,
-          outputJson: jsonPath
-        });
-
-        // 2) Import into target
-        await importAppSearchEngine(dstName, {
-          appSearchEndpoint: toEndpoint,
-          appSearchPrivateKey: toKey,
-          inputJson: jsonPath,
-          force: options.force
-        });
-
-        console.log(`Completed migration for engine "${srcName}" -> "${dstName}"`);
-      } catch (err) {
-        console.error(`Failed to migrate engine "${srcName}":`, err && err.message ? err.message : err);
-        // continue with next engine
+    const migratedNames = new Set(filteredEngines.map(e => e.name));
+    for (const engine of filteredEngines.filter(e => e.type === 'meta')) {
+      const outside = (engine.source_engines || []).filter(name => !migratedNames.has(name));
+      if (outside.length) {
+        console.warn(`Meta engine "${engine.name}" uses source engines outside this migration, ` +
+          `they must already exist on the target: ${outside.map(name => targetNameFor(name, options)).join(', ')}`);
       }
     }
 
+    const statePath = options.stateFile || path.join(outputDir, 'bulk-state.json');
+    const state = await openBulkState(statePath, {
+      source: fromEndpoint,
+      target: toEndpoint,
+      target_prefix: targetPrefix,
+      engine_filter: engineFilter
+    }, options.resume);
+    console.log(`State file: ${statePath}`);
+    console.log(`Concurrency: ${options.concurrency}`);
+
+    const unreadable = options.preflight
+      ? await preflightMigration(filteredEngines.filter(e => (state.get(e.name) || {}).status !== 'imported'), options, state)
+      : new Set();
+
+    // Default engines run before meta engines, so source engines exist on the
+    // target before the meta engines that reference them are created.
+    const outcomes = {};
+    const worker = async (engine) => {
+      // Already recorded as failed by the preflight
+      outcomes[engine.name] = unreadable.has(engine.name) ? 'failed' : await migrateEngine(engine, options, state);
+    };
+    await runWithConcurrency(filteredEngines.filter(e => e.type !== 'meta'), options.concurrency, worker);
+    await runWithConcurrency(filteredEngines.filter(e => e.type === 'meta'), options.concurrency, worker);
+
+    console.log('');
+    const rows = filteredEngines.map(engine => {
+      const entry = state.get(engine.name) || {};
+      const row = [engine.name, entry.target, outcomes[engine.name], entry.status,
+        entry.crawler_not_migrated ? String(entry.crawler_not_migrated.length) : '',
+        entry.error ? `${entry.failed_step}: ${entry.error}` : ''];
+      if (options.verify) row.push(entry.verification ? `${entry.verification}: ${entry.verification_summary}` : '');
+      return row;
+    });
+    const headers = ['Engine', 'Target engine', 'This run', 'Status', 'Crawler not migrated', 'Error'];
+    if (options.verify) headers.push('Verification');
+    formatTable(headers, rows).forEach(line => console.log(line));
+    console.log('');
+
+    const failed = Object.values(outcomes).filter(outcome => outcome === 'failed').length;
+    const unverified = filteredEngines.filter(engine => outcomes[engine.name] === 'imported' &&
+      (state.get(engine.name) || {}).verification !== 'passed').length;
+    if (options.verify && unverified) {
+      console.log(`${unverified} engine(s) did not pass verification.`);
+      process.exitCode = 2;
+    }
+    const crawlerIncomplete = filteredEngines.filter(engine => outcomes[engine.name] === 'imported' &&
+      ((state.get(engine.name) || {}).crawler_not_migrated || []).length).length;
+    if (crawlerIncomplete) {
+      console.log(`${crawlerIncomplete} engine(s) were imported without some crawler items, see crawler_not_migrated in the state file.`);
+      process.exitCode = 1;
+    }
+    if (failed) {
+      console.log(`${failed} engine(s) failed. Re-run with --resume to retry only the failed engines.`);
+      process.exitCode = 1;
+    }
     console.log('Bulk migration complete.');
   });
 
   await program.parseAsync(process.argv);
 }
 
-main().catch(err => {
-  console.error('Fatal error in bulk migration:', err && err.message ? err.message : err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error in bulk migration:', err && err.message ? err.message : err);
+    process.exit(1);
+  });
+}
+
+module.exports = { listAllEngines, filterEngines, orderEnginesForMigration };
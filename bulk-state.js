@@ -0,0 +1,73 @@
+// bulk-state.js
+//
+// Checkpoint file for bulk migrations. Records per-engine status so an
+// interrupted or partly failed run can be resumed with --resume.
+//
+// Engine statuses: pending -> exported -> imported, or failed (with the
+// step that failed and the error message). An imported engine with a crawler
+// also has crawler_not_migrated: [{ item, reason }].
+
+const fs = require('fs/promises');
+
+// Settings that must match for a state file to be resumed
+const RUN_KEYS = ['source', 'target', 'target_prefix', 'engine_filter'];
+
+async function readStateFile(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, { encoding: 'utf8' }));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Could not read state file ${statePath}: ${err.message}`);
+  }
+}
+
+// Opens the checkpoint for a run. Without resume any previous state is
+// discarded; with resume the previous state must belong to the same run.
+async function openBulkState(statePath, run, resume) {
+  let state = resume ? await readStateFile(statePath) : null;
+
+  if (state) {
+    const mismatched = RUN_KEYS.filter(key => state[key] !== run[key]);
+    if (mismatched.length) {
+      throw new Error(`State file ${statePath} belongs to a different migration (${mismatched.join(', ')} differ), ` +
+        'remove it or run without --resume');
+    }
+    console.log(`Resuming from state file ${statePath}`);
+  } else {
+    if (resume) console.log(`No state file at ${statePath}, starting a new run`);
+    state = Object.assign({}, run, { engines: {} });
+  }
+
+  // Writes are chained so concurrent workers never interleave partial files.
+  // A failed write does not hold up the ones after it, each caller only sees
+  // its own failure.
+  let writes = Promise.resolve();
+  const save = () => {
+    state.updated_at = new Date().toISOString();
+    const snapshot = JSON.stringify(state, undefined, 2);
+    const write = writes.then(async () => {
+      const tmpPath = `${statePath}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, statePath);
+    });
+    writes = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    engines: state.engines,
+
+    get(name) {
+      return state.engines[name];
+    },
+
+    async update(name, patch) {
+      state.engines[name] = Object.assign({}, state.engines[name], patch, { updated_at: new Date().toISOString() });
+      await save();
+    },
+
+    save
+  };
+}
+
+module.exports = { openBulkState };
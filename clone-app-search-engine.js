@@ -0,0 +1,133 @@
+// clone-app-search-engine.js
+//
+// Copies an engine straight into another engine, on the same cluster or on a
+// different one, without an intermediate JSON or NDJSON file: the exported
+// engine JSON is handed to the importer as an object and documents are paged
+// from the source engine into the target.
+//
+// With swap the clone is first built under a temporary name on the target
+// cluster, while the target keeps serving. Only when that import succeeded is
+// the target deleted and re-created from the same engine JSON, with its
+// documents copied from the temporary engine. App Search cannot rename
+// engines, so the target is still down for a while, but the slow part (the
+// source export and the copy from the source cluster) is over by then, and no
+// snapshot of the target is taken: the target is unavailable only while it is
+// re-created and the documents are copied within the target cluster. When
+// replacing the target fails, the temporary engine is kept as the finished
+// clone.
+
+const exportAppSearchEngine = require('./export-app-search-engine');
+const importAppSearchEngine = require('./import-app-search-engine');
+const { engineExists } = require('./import-app-search-engine');
+const { createClient } = require('./request-policy');
+const { hasSectionSelection } = require('./engine-sections');
+const { EntsporterError } = require('./errors');
+
+// Engine names are at most 64 characters
+const MAX_ENGINE_NAME_LENGTH = 64;
+
+// The target name is shortened when the suffix would not fit
+function temporaryNameFor(targetName) {
+  const suffix = `-clone-${Date.now().toString(36)}`;
+  return `${targetName.slice(0, MAX_ENGINE_NAME_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+}
+
+async function deleteTemporaryEngine(client, engineName) {
+  try {
+    await client.app.deleteEngine({ engine_name: engineName });
+    console.log(`Deleted temporary engine ${engineName}`);
+  } catch (err) {
+    console.warn(`Could not delete temporary engine ${engineName}, delete it by hand:`, err && err.message ? err.message : err);
+  }
+}
+
+// Options: appSearchEndpoint/appSearchPrivateKey (source), targetEndpoint/
+// targetKey (default: the source cluster), includeDocuments, only/skip,
+// force, update, swap, snapshotDir, preflight/fieldLimit/esEndpoint (and its
+// credentials), startCrawl, applyLogSettings and events.
+// Resolves to the cloned engine JSON.
+async function cloneAppSearchEngine(sourceName, targetName, options) {
+  if (options.swap && (options.update || hasSectionSelection(options))) {
+    throw new EntsporterError('--swap replaces the whole target engine, it cannot be combined with --update, --only or --skip');
+  }
+  const targetEndpoint = options.targetEndpoint || options.appSearchEndpoint;
+  const targetKey = options.targetKey || options.appSearchPrivateKey;
+  console.log(`Cloning engine ${sourceName} (${options.appSearchEndpoint}) to ${targetName} (${targetEndpoint})`);
+
+  const engineJson = await exportAppSearchEngine(sourceName, {
+    appSearchEndpoint: options.appSearchEndpoint,
+    appSearchPrivateKey: options.appSearchPrivateKey,
+    only: options.only,
+    skip: options.skip,
+    events: options.events
+  });
+
+  const importOptions = {
+    appSearchEndpoint: targetEndpoint,
+    appSearchPrivateKey: targetKey,
+    engineJson,
+    includeDocuments: options.includeDocuments,
+    documentsSource: {
+      appSearchEndpoint: options.appSearchEndpoint,
+      appSearchPrivateKey: options.appSearchPrivateKey,
+      engineName: sourceName
+    },
+    only: options.only,
+    skip: options.skip,
+    force: options.force,
+    update: options.update,
+    snapshotDir: options.snapshotDir,
+    preflight: options.preflight,
+    fieldLimit: options.fieldLimit,
+    esEndpoint: options.esEndpoint,
+    esApiKey: options.esApiKey,
+    esUsername: options.esUsername,
+    esPassword: options.esPassword,
+    startCrawl: options.startCrawl,
+    applyLogSettings: options.applyLogSettings,
+    crawlPollInterval: options.crawlPollInterval,
+    crawlTimeout: options.crawlTimeout,
+    events: options.events
+  };
+
+  if (!options.swap) {
+    return importAppSearchEngine(targetName, importOptions);
+  }
+
+  const client = createClient(targetEndpoint, targetKey);
+  const temporaryName = temporaryNameFor(targetName);
+  console.log(`--swap: building the clone as ${temporaryName} first`);
+  // A failed import rolls back (deletes) the temporary engine, the target is untouched
+  await importAppSearchEngine(temporaryName, Object.assign({}, importOptions, { force: false, update: false, startCrawl: false }));
+
+  let engineJsonOfTarget;
+  try {
+    console.log(`Clone ${temporaryName} is complete, replacing ${targetName}`);
+    // The finished clone takes the place of a snapshot, so the target is
+    // deleted here instead of by a --force import
+    if (await engineExists(client, targetName)) {
+      await client.app.deleteEngine({ engine_name: targetName });
+      // Wait a moment for the deletion to propagate, as the importer does
+      await new Promise(resolve => setTimeout(resolve, 5000));
+      console.log(`Deleted engine ${targetName}, it is unavailable until its documents are copied`);
+    }
+    engineJsonOfTarget = await importAppSearchEngine(targetName, Object.assign({}, importOptions, {
+      force: false,
+      update: false,
+      // The same engine JSON already passed the checks for the temporary engine
+      preflight: false,
+      documentsSource: {
+        appSearchEndpoint: targetEndpoint,
+        appSearchPrivateKey: targetKey,
+        engineName: temporaryName
+      }
+    }));
+  } catch (err) {
+    console.error(`Replacing ${targetName} failed, the complete clone is kept as ${temporaryName}`);
+    throw err;
+  }
+  await deleteTemporaryEngine(client, temporaryName);
+  return engineJsonOfTarget;
+}
+
+module.exports = cloneAppSearchEngine;
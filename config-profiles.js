@@ -0,0 +1,208 @@
+// config-profiles.js
+//
+// Named environments from entsporter.config.json / entsporter.config.yaml, so
+// endpoints and keys do not have to be passed on the command line:
+//
+//   environments:
+//     prod:
+//       endpoint: https://prod.example.com:3002
+//       private_key_env: ENTSPORTER_PROD_KEY     # or private_key_file: ./secrets/prod.key
+//       engine_prefix: prod-
+//       tls:
+//         ca_file: ./certs/ca.pem
+//         cert_file: ./certs/client.pem
+//         key_file: ./certs/client-key.pem
+//         reject_unauthorized: true
+//
+// Commands take --env <name> (one cluster) or --from-env/--to-env (two clusters),
+// verification takes --source-env for the cluster smoke queries compare with,
+// and clone takes --target-env when the clone goes to another cluster.
+// Options given on the command line win over the environment.
+
+const fs = require('fs/promises');
+const path = require('path');
+const YAML = require('yaml');
+const { Option } = require('commander');
+const { configureTls } = require('./request-policy');
+const { addSecret } = require('./redact');
+
+const CONFIG_FILES = ['entsporter.config.json', 'entsporter.config.yaml', 'entsporter.config.yml'];
+
+// The options an environment fills in, per environment option. Optional
+// roles may be left without an endpoint and key.
+const ROLES = {
+  env: { flag: '--env', endpoint: 'appSearchEndpoint', key: 'appSearchPrivateKey', prefix: 'sourceEnginePrefix' },
+  fromEnv: { flag: '--from-env', endpoint: 'fromEndpoint', key: 'fromKey' },
+  toEnv: { flag: '--to-env', endpoint: 'toEndpoint', key: 'toKey', prefix: 'targetPrefix' },
+  sourceEnv: { flag: '--source-env', endpoint: 'sourceEndpoint', key: 'sourceKey', optional: true },
+  targetEnv: { flag: '--target-env', endpoint: 'targetEndpoint', key: 'targetKey', optional: true }
+};
+
+// Options holding private keys and passwords, redacted from all log output
+const KEY_OPTIONS = ['appSearchPrivateKey', 'fromKey', 'toKey', 'sourceKey', 'targetKey', 'esApiKey', 'esPassword'];
+
+const ROLE_DESCRIPTIONS = {
+  env: 'Environment from the config file providing the endpoint, key, TLS options and engine prefix',
+  fromEnv: 'Source environment from the config file',
+  toEnv: 'Target environment from the config file',
+  sourceEnv: 'Environment from the config file of the source cluster',
+  targetEnv: 'Environment from the config file of the target cluster'
+};
+
+/* -----------------------
+   Config file
+   ----------------------- */
+
+async function findConfigFile() {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.resolve(name);
+    if (await fs.access(candidate).then(() => true, () => false)) return candidate;
+  }
+  return null;
+}
+
+// Reads the config file at configPath, or the first entsporter.config.* in
+// the current directory
+async function loadConfig(configPath) {
+  const filePath = configPath ? path.resolve(configPath) : await findConfigFile();
+  if (!filePath) {
+    throw new Error(`No config file found, create one of ${CONFIG_FILES.join(', ')} or pass --config`);
+  }
+
+  let config;
+  try {
+    const text = await fs.readFile(filePath, { encoding: 'utf8' });
+    config = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new Error(`Could not read config file ${filePath}: ${err.message || err}`);
+  }
+  if (!config || typeof config.environments !== 'object') {
+    throw new Error(`Config file ${filePath} has no "environments" section`);
+  }
+  return { path: filePath, environments: config.environments };
+}
+
+/* -----------------------
+   Environments
+   ----------------------- */
+
+async function readReferencedFile(config, envName, field, file) {
+  const filePath = path.resolve(path.dirname(config.path), file);
+  try {
+    return await fs.readFile(filePath, { encoding: 'utf8' });
+  } catch (err) {
+    throw new Error(`Environment "${envName}": could not read ${field} ${filePath}: ${err.message || err}`);
+  }
+}
+
+async function resolveKey(config, envName, env) {
+  if (env.private_key_env) {
+    const key = process.env[env.private_key_env];
+    if (!key) {
+      throw new Error(`Environment "${envName}": environment variable ${env.private_key_env} is not set`);
+    }
+    return key;
+  }
+  if (env.private_key_file) {
+    return (await readReferencedFile(config, envName, 'private_key_file', env.private_key_file)).trim();
+  }
+  if (env.private_key) {
+    throw new Error(`Environment "${envName}": keys are not read from the config file, use private_key_env or private_key_file`);
+  }
+  return undefined;
+}
+
+async function resolveTls(config, envName, tls) {
+  if (!tls) return null;
+  const resolved = {};
+  for (const [field, option] of [['ca_file', 'ca'], ['cert_file', 'cert'], ['key_file', 'key']]) {
+    if (tls[field]) resolved[option] = await readReferencedFile(config, envName, `tls.${field}`, tls[field]);
+  }
+  if (tls.reject_unauthorized !== undefined) resolved.rejectUnauthorized = Boolean(tls.reject_unauthorized);
+  return resolved;
+}
+
+// Resolves a named environment to { name, endpoint, key, tls, enginePrefix }
+async function resolveEnvironment(config, envName) {
+  const env = config.environments[envName];
+  if (!env) {
+    const known = Object.keys(config.environments);
+    throw new Error(`Unknown environment "${envName}" in ${config.path}, known environments: ${known.join(', ') || 'none'}`);
+  }
+  if (!env.endpoint) {
+    throw new Error(`Environment "${envName}" in ${config.path} has no endpoint`);
+  }
+  return {
+    name: envName,
+    endpoint: env.endpoint,
+    key: await resolveKey(config, envName, env),
+    tls: await resolveTls(config, envName, env.tls),
+    enginePrefix: env.engine_prefix
+  };
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+// Adds --config and the environment options of the given roles
+// ('env', 'fromEnv', 'toEnv', 'sourceEnv', 'targetEnv') to a command
+function addEnvironmentOptions(command, roles) {
+  command.option('--config <path>', `Config file with named environments (default: ${CONFIG_FILES.join(' or ')} in the current directory)`);
+  for (const role of roles) {
+    command.addOption(new Option(`${ROLES[role].flag} <name>`, ROLE_DESCRIPTIONS[role]));
+  }
+  return command;
+}
+
+function hasOption(command, attributeName) {
+  return command.options.some(option => option.attributeName() === attributeName);
+}
+
+function flagOf(command, attributeName) {
+  const option = command.options.find(option => option.attributeName() === attributeName);
+  return option ? option.flags : attributeName;
+}
+
+// Fills endpoint, key and prefix options from the selected environments, then
+// checks that every command that needs an endpoint and key has one. Call it
+// before the command action runs.
+async function applyEnvironmentOptions(command) {
+  const options = command.opts();
+  const roles = Object.keys(ROLES).filter(role => hasOption(command, ROLES[role].endpoint));
+  const selected = roles.filter(role => options[role]);
+  const config = selected.length ? await loadConfig(options.config) : null;
+
+  for (const role of selected) {
+    const { endpoint, key, prefix } = ROLES[role];
+    const env = await resolveEnvironment(config, options[role]);
+    if (command.getOptionValueSource(endpoint) !== 'cli') command.setOptionValue(endpoint, env.endpoint);
+    if (command.getOptionValueSource(key) !== 'cli' && env.key) command.setOptionValue(key, env.key);
+    if (prefix && hasOption(command, prefix) && env.enginePrefix !== undefined &&
+        command.getOptionValueSource(prefix) !== 'cli') {
+      command.setOptionValue(prefix, env.enginePrefix);
+    }
+    if (env.tls) configureTls(command.getOptionValue(endpoint), env.tls);
+  }
+
+  for (const role of roles.filter(role => !ROLES[role].optional)) {
+    const { flag, endpoint, key } = ROLES[role];
+    for (const name of [endpoint, key]) {
+      if (!command.getOptionValue(name)) {
+        command.error(`error: required option '${flagOf(command, name)}' not specified (or use ${flag} <name>)`);
+      }
+    }
+  }
+
+  for (const name of KEY_OPTIONS) {
+    addSecret(command.getOptionValue(name));
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  loadConfig,
+  resolveEnvironment,
+  addEnvironmentOptions,
+  applyEnvironmentOptions
+};
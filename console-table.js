@@ -0,0 +1,18 @@
+// console-table.js
+//
+// Plain-text table for console summaries.
+
+// Returns the table as lines: header, separator, then one line per row
+function formatTable(header, rows) {
+  const cells = rows.map(row => row.map(cell => (cell === undefined || cell === null ? '' : String(cell))));
+  const widths = header.map((h, i) => Math.max(h.length, ...cells.map(r => r[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    formatRow(header),
+    widths.map(w => '-'.repeat(w)).join('  '),
+    ...cells.map(formatRow)
+  ];
+}
+
+module.exports = { formatTable };
@@ -0,0 +1,72 @@
+// csv-format.js
+//
+// Reading and writing CSV (RFC 4180: comma separated, double quotes around
+// cells with commas, quotes or line breaks) for the files meant to be opened
+// in a spreadsheet.
+
+// Splits CSV text into rows of cells, with quoted cells that may contain
+// commas, quotes ("") and line breaks. Each row carries the line it starts
+// on; blank lines are left out.
+function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== '') rows.push({ cells, line: rowLine });
+    cells = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`line ${rowLine}: unterminated quoted cell`);
+  }
+  if (cell !== '' || cells.length) endRow();
+  return rows;
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of cells to CSV text, null and undefined cells written empty
+function formatCsv(rows) {
+  return rows.map(cells => cells.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv
+};
@@ -0,0 +1,329 @@
+// diff-app-search-engine.js
+//
+// Compares the sections of an exported engine JSON (the desired state)
+// against the same sections fetched from a live engine.
+
+const { settableEngineSettings, retentionDifferences, isImportedSetting, APPLY_LOG_SETTINGS_HINT, ENGINE_SETTINGS_PARTS } = require('./engine-settings');
+
+/* -----------------------
+   Schema
+   ----------------------- */
+
+// Returns fields only in desired (added), fields whose type differs (retyped)
+// and fields only present on the live engine (App Search cannot drop them).
+function diffSchema(desired = {}, live = {}) {
+  const added = {};
+  const retyped = [];
+  const liveOnly = [];
+
+  for (const [field, type] of Object.entries(desired)) {
+    if (!(field in live)) {
+      added[field] = type;
+    } else if (live[field] !== type) {
+      retyped.push({ field, from: live[field], to: type });
+    }
+  }
+  for (const field of Object.keys(live)) {
+    if (!(field in desired)) liveOnly.push(field);
+  }
+
+  return { added, retyped, liveOnly };
+}
+
+/* -----------------------
+   Synonyms & curations
+   ----------------------- */
+
+// Pairs desired entries with live entries, first by id (same cluster re-import),
+// then by keyFn (ids differ across clusters). Paired entries that are not
+// equal are reported as changed.
+function diffEntries(desired = [], live = [], keyFn, equalFn) {
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  const remainingLive = new Map(live.map(entry => [entry.id, entry]));
+  const unpaired = [];
+
+  for (const entry of desired) {
+    if (entry.id && remainingLive.has(entry.id)) {
+      const liveEntry = remainingLive.get(entry.id);
+      remainingLive.delete(entry.id);
+      (equalFn(entry, liveEntry) ? unchanged : changed).push({ desired: entry, live: liveEntry });
+    } else {
+      unpaired.push(entry);
+    }
+  }
+
+  const liveByKey = new Map();
+  for (const liveEntry of remainingLive.values()) {
+    liveByKey.set(keyFn(liveEntry), liveEntry);
+  }
+
+  for (const entry of unpaired) {
+    const liveEntry = liveByKey.get(keyFn(entry));
+    if (liveEntry) {
+      liveByKey.delete(keyFn(entry));
+      remainingLive.delete(liveEntry.id);
+      (equalFn(entry, liveEntry) ? unchanged : changed).push({ desired: entry, live: liveEntry });
+    } else {
+      added.push(entry);
+    }
+  }
+
+  return { added, changed, removed: [...remainingLive.values()], unchanged };
+}
+
+function sortedKey(values) {
+  return JSON.stringify([...(values || [])].map(String).sort());
+}
+
+function synonymKey(synonymSet) {
+  return sortedKey(synonymSet.synonyms);
+}
+
+function curationKey(curation) {
+  return sortedKey(curation.queries);
+}
+
+function sameCuration(a, b) {
+  return curationKey(a) === curationKey(b) &&
+    JSON.stringify(a.promoted || []) === JSON.stringify(b.promoted || []) &&
+    JSON.stringify(a.hidden || []) === JSON.stringify(b.hidden || []);
+}
+
+function diffSynonyms(desired, live) {
+  return diffEntries(desired, live, synonymKey, (a, b) => synonymKey(a) === synonymKey(b));
+}
+
+function diffCurations(desired, live) {
+  return diffEntries(desired, live, curationKey, sameCuration);
+}
+
+/* -----------------------
+   Search settings
+   ----------------------- */
+
+// JSON with object keys sorted, so key order from the API or a sorted export
+// file does not count as a change
+function stableStringify(value) {
+  return JSON.stringify(value, (key, v) => v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v);
+}
+
+// Compares each field of an object-valued setting (search_fields, boosts, result_fields)
+function diffFieldMap(desired = {}, live = {}) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const field of Object.keys(desired)) {
+    if (!(field in live)) {
+      added.push({ field, to: desired[field] });
+    } else if (stableStringify(desired[field]) !== stableStringify(live[field])) {
+      changed.push({ field, from: live[field], to: desired[field] });
+    }
+  }
+  for (const field of Object.keys(live)) {
+    if (!(field in desired)) removed.push({ field, from: live[field] });
+  }
+
+  return { added, removed, changed };
+}
+
+// Only settings present in the desired JSON are compared, matching what
+// importSearchSettings sends.
+function diffSearchSettings(desired = {}, live = {}) {
+  const diff = {};
+  for (const key of ['search_fields', 'result_fields', 'boosts']) {
+    if (desired[key]) diff[key] = diffFieldMap(desired[key], live[key]);
+  }
+  if (desired.precision !== undefined && desired.precision !== live.precision) {
+    diff.precision = { from: live.precision, to: desired.precision };
+  }
+  return diff;
+}
+
+// precision_enabled is exported but importSearchSettings does not send it
+function searchSettingsNotes(desired = {}, live = {}) {
+  if (desired.precision_enabled === undefined || desired.precision_enabled === live.precision_enabled) return [];
+  const current = live.precision_enabled === undefined ? '(not set)' : JSON.stringify(live.precision_enabled);
+  return [`searchSettings.precision_enabled: ${current} on the engine, ` +
+    `${JSON.stringify(desired.precision_enabled)} in the input (not sent by the import)`];
+}
+
+/* -----------------------
+   Engine settings
+   ----------------------- */
+
+// Only the settings an import can change are compared. Parts the live
+// cluster does not support (null), log retention differences and, without
+// options.applyLogSettings, log settings differences are listed but not
+// counted, the importer skips them.
+function diffEngineSettings(desired = {}, live = {}, options = {}) {
+  const unsupported = ENGINE_SETTINGS_PARTS.filter(part => desired[part] && live[part] === null);
+  const wanted = settableEngineSettings(desired);
+  const current = settableEngineSettings(live);
+  const different = Object.keys(wanted)
+    .filter(setting => !unsupported.includes(setting.split('.')[0]))
+    .filter(setting => stableStringify(wanted[setting]) !== stableStringify(current[setting]))
+    .map(setting => ({ setting, from: current[setting], to: wanted[setting] }));
+  const held = different.filter(({ setting }) => !isImportedSetting(setting, options));
+  return {
+    changed: different.filter(({ setting }) => isImportedSetting(setting, options)),
+    unsupported,
+    notes: [
+      ...held.map(({ setting, from, to }) => `${setting}: ${JSON.stringify(from)} on the cluster, ${JSON.stringify(to)} in the input (${APPLY_LOG_SETTINGS_HINT})`),
+      ...retentionDifferences(desired.logSettings, live.logSettings)
+    ]
+  };
+}
+
+/* -----------------------
+   Crawler
+   ----------------------- */
+
+// Domain ids are server-generated, so crawler items are keyed by domain name.
+// Crawl rules are keyed by their position in the domain too, the first
+// matching rule wins. Settings older exports do not have are undefined.
+function crawlerItemKeys(crawler = {}) {
+  const domains = crawler.domains || [];
+  const nameOf = (domain) => domain.name || domain.url || domain.domain || '';
+  const domainNames = new Map(domains.map(d => [d.id, nameOf(d)]));
+  const domainName = (item) => domainNames.get(item.domain_id) || item.domain_id || '';
+  const positions = new Map();
+  const positionOf = (item) => {
+    const domain = domainName(item);
+    positions.set(domain, (positions.get(domain) || 0) + 1);
+    return positions.get(domain);
+  };
+  const orderOf = (rule) => (typeof rule.order === 'number' ? rule.order : Number.MAX_SAFE_INTEGER);
+  const extractionRuleKey = (rule) => JSON.stringify({ description: rule.description, url_filters: rule.url_filters, rules: rule.rules });
+
+  return {
+    domains: domains.map(nameOf),
+    domainSettings: domains.flatMap(d => [
+      ...(d.deduplication_enabled !== undefined
+        ? [`${nameOf(d)} deduplication: ${d.deduplication_enabled ? `on [${(d.deduplication_fields || []).join(', ')}]` : 'off'}`]
+        : []),
+      ...(d.default_crawl_rule
+        ? [`${nameOf(d)} default crawl rule: ${d.default_crawl_rule.policy} ${d.default_crawl_rule.rule} ${d.default_crawl_rule.pattern}`]
+        : [])
+    ]),
+    entryPoints: (crawler.entryPoints || crawler.entry_points || []).map(ep => `${domainName(ep)} ${ep.value}`),
+    crawlRules: [...(crawler.crawlRules || crawler.crawl_rules || [])]
+      .sort((a, b) => orderOf(a) - orderOf(b))
+      .map(cr => `${domainName(cr)} #${positionOf(cr)} ${cr.policy} ${cr.rule} ${cr.pattern}`),
+    sitemaps: (crawler.sitemaps || []).map(sm => `${domainName(sm)} ${sm.url || sm.value}`),
+    extractionRules: domains.some(d => Array.isArray(d.extraction_rules))
+      ? domains.flatMap(d => (d.extraction_rules || []).map(rule => `${nameOf(d)} ${extractionRuleKey(rule)}`))
+      : undefined,
+    crawlSchedule: crawler.crawlSchedule !== undefined
+      ? (crawler.crawlSchedule ? [`every ${crawler.crawlSchedule.frequency} ${crawler.crawlSchedule.unit}`] : [])
+      : undefined
+  };
+}
+
+// The crawler differences as notes, for an existing engine the crawler is
+// not reconciled into
+function crawlerNotes(crawlerDiff) {
+  return Object.entries(crawlerDiff).flatMap(([name, { added, removed }]) => [
+    ...added.map(key => `crawler ${name}: ${key} only in the input (the crawler of an existing engine is not changed)`),
+    ...removed.map(key => `crawler ${name}: ${key} only on the engine (the crawler of an existing engine is not changed)`)
+  ]);
+}
+
+function diffCrawler(desired, live) {
+  const desiredKeys = crawlerItemKeys(desired);
+  const liveKeys = crawlerItemKeys(live);
+  const diff = {};
+
+  // Only the domain settings the desired JSON has are compared
+  const settingNames = new Set(desiredKeys.domainSettings.map(key => key.split(': ')[0]));
+  liveKeys.domainSettings = liveKeys.domainSettings.filter(key => settingNames.has(key.split(': ')[0]));
+
+  for (const section of Object.keys(desiredKeys)) {
+    if (desiredKeys[section] === undefined) continue;
+    const liveSet = new Set(liveKeys[section] || []);
+    const desiredSet = new Set(desiredKeys[section]);
+    diff[section] = {
+      added: [...desiredSet].filter(k => !liveSet.has(k)),
+      removed: [...liveSet].filter(k => !desiredSet.has(k))
+    };
+  }
+  return diff;
+}
+
+/* -----------------------
+   Whole engine
+   ----------------------- */
+
+// Sections missing from the desired JSON are left out, as the importer skips them.
+// Meta engine schemas are derived from their source engines and are not compared.
+// Differences no import acts on are listed in diff.notes and not counted: the
+// crawler, unless options.newEngine (an import only creates it with a new
+// engine), and precision_enabled.
+// options.applyLogSettings: the import changes log settings (see diffEngineSettings)
+function diffEngine(desired, live, options = {}) {
+  const diff = {};
+  const notes = [];
+  if (desired.schema && desired.read_only?.type !== 'meta') {
+    diff.schema = diffSchema(desired.schema, live.schema);
+  }
+  if (Array.isArray(desired.synonyms)) {
+    diff.synonyms = diffSynonyms(desired.synonyms, live.synonyms);
+  }
+  if (Array.isArray(desired.curations)) {
+    diff.curations = diffCurations(desired.curations, live.curations);
+  }
+  if (desired.searchSettings) {
+    diff.searchSettings = diffSearchSettings(desired.searchSettings, live.searchSettings);
+    notes.push(...searchSettingsNotes(desired.searchSettings, live.searchSettings));
+  }
+  if (desired.engineSettings) {
+    diff.engineSettings = diffEngineSettings(desired.engineSettings, live.engineSettings, options);
+  }
+  if (desired.crawler && options.newEngine) {
+    diff.crawler = diffCrawler(desired.crawler, live.crawler);
+  } else if (desired.crawler) {
+    notes.push(...crawlerNotes(diffCrawler(desired.crawler, live.crawler)));
+  }
+  if (notes.length) diff.notes = notes;
+  return diff;
+}
+
+// Number of differences that an import would act on. Fields that only exist
+// on the live engine are not counted because they cannot be removed, and
+// neither are diff.notes.
+function countChanges(diff) {
+  let count = 0;
+  if (diff.schema) {
+    count += Object.keys(diff.schema.added).length + diff.schema.retyped.length;
+  }
+  for (const section of ['synonyms', 'curations']) {
+    if (diff[section]) {
+      count += diff[section].added.length + diff[section].changed.length + diff[section].removed.length;
+    }
+  }
+  for (const value of Object.values(diff.searchSettings || {})) {
+    count += value.added ? value.added.length + value.removed.length + value.changed.length : 1;
+  }
+  if (diff.engineSettings) {
+    count += diff.engineSettings.changed.length;
+  }
+  for (const value of Object.values(diff.crawler || {})) {
+    count += value.added.length + value.removed.length;
+  }
+  return count;
+}
+
+module.exports = {
+  diffSchema,
+  diffSynonyms,
+  diffCurations,
+  diffSearchSettings,
+  diffEngineSettings,
+  diffCrawler,
+  diffEngine,
+  countChanges
+};
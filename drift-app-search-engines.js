@@ -0,0 +1,159 @@
+// drift-app-search-engines.js
+//
+// Pairs engines on a source and a target cluster (same filter and
+// --target-prefix mapping as bulk-migrate-engines.js) and reports which
+// engines are missing, extra or different, section by section.
+
+const fs = require('fs/promises');
+
+const { buildEngineJson } = require('./export-app-search-engine');
+const { diffEngine, countChanges } = require('./diff-app-search-engine');
+const { listAllEngines, filterEngines } = require('./engine-list');
+const { formatTable } = require('./console-table');
+const { createClient } = require('./request-policy');
+
+// The crawler is not in the sections, an import does not reconcile it and
+// its differences are notes
+const SECTIONS = ['engine', 'schema', 'synonyms', 'curations', 'searchSettings', 'engineSettings'];
+
+// Resolves to the report; report.summary.drifted is nonzero when the clusters
+// differ, report.summary.error when engines could not be compared.
+async function driftAppSearchEngines(engineFilter, options) {
+  const { fromEndpoint, fromKey, toEndpoint, toKey, targetPrefix = '' } = options;
+
+  console.log(`Source endpoint: ${fromEndpoint}`);
+  console.log(`Target endpoint: ${toEndpoint}`);
+  console.log(`Target name prefix: "${targetPrefix}"`);
+  if (engineFilter) {
+    console.log(`Engine name filter: "${engineFilter}" (substring match)`);
+  }
+
+  const sourceClient = createClient(fromEndpoint, fromKey);
+  const targetClient = createClient(toEndpoint, toKey);
+  const sourceOptions = { appSearchEndpoint: fromEndpoint, appSearchPrivateKey: fromKey };
+  const targetOptions = { appSearchEndpoint: toEndpoint, appSearchPrivateKey: toKey };
+
+  console.log('Listing engines on source and target clusters...');
+  const sourceEngines = filterEngines(await listAllEngines(sourceClient), engineFilter);
+  const targetNames = new Set((await listAllEngines(targetClient)).map(e => e.name));
+
+  const entries = [];
+  const pairedTargets = new Set();
+
+  for (const engine of sourceEngines) {
+    const srcName = engine.name;
+    const dstName = `${targetPrefix}${srcName}`;
+
+    if (!targetNames.has(dstName)) {
+      entries.push({ source: srcName, target: dstName, status: 'missing' });
+      continue;
+    }
+    pairedTargets.add(dstName);
+
+    console.log(`Comparing ${srcName} -> ${dstName}`);
+    try {
+      const sourceJson = await buildEngineJson(sourceClient, srcName, sourceOptions);
+      const targetJson = await buildEngineJson(targetClient, dstName, targetOptions);
+      entries.push(compareEngines(srcName, dstName, sourceJson, targetJson, targetPrefix));
+    } catch (err) {
+      console.error(`Failed to compare engine "${srcName}":`, err && err.message ? err.message : err);
+      entries.push({ source: srcName, target: dstName, status: 'error', error: err && err.message ? err.message : String(err) });
+    }
+  }
+
+  // Target engines that map back onto the filter but have no source engine
+  for (const dstName of targetNames) {
+    if (pairedTargets.has(dstName) || !dstName.startsWith(targetPrefix)) continue;
+    const srcName = dstName.slice(targetPrefix.length);
+    if (engineFilter && !srcName.includes(engineFilter)) continue;
+    entries.push({ source: srcName, target: dstName, status: 'extra' });
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    source: fromEndpoint,
+    target: toEndpoint,
+    target_prefix: targetPrefix,
+    engine_filter: engineFilter || '',
+    summary: summarize(entries),
+    engines: entries
+  };
+
+  console.log('');
+  for (const line of formatDriftTable(entries)) {
+    console.log(line);
+  }
+  console.log('');
+  console.log(`${report.summary.in_sync} in sync, ${report.summary.different} different, ` +
+    `${report.summary.missing} missing, ${report.summary.extra} extra, ${report.summary.error} failed.`);
+
+  if (options.outputJson) {
+    console.log(`Writing drift report to file ${options.outputJson}`);
+    await fs.writeFile(options.outputJson, JSON.stringify(report, undefined, 2));
+  }
+
+  return report;
+}
+
+function compareEngines(srcName, dstName, sourceJson, targetJson, targetPrefix) {
+  const diff = diffEngine(sourceJson, targetJson);
+  const sections = {};
+
+  const engineDiff = {};
+  for (const key of ['type', 'language']) {
+    if (sourceJson.read_only[key] !== targetJson.read_only[key]) {
+      engineDiff[key] = { from: targetJson.read_only[key], to: sourceJson.read_only[key] };
+    }
+  }
+  if (sourceJson.read_only.type === 'meta' && targetJson.read_only.type === 'meta') {
+    const expected = (sourceJson.read_only.source_engines || []).map(name => `${targetPrefix}${name}`).sort();
+    const actual = [...(targetJson.read_only.source_engines || [])].sort();
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+      engineDiff.source_engines = { from: actual, to: expected };
+    }
+  }
+  sections.engine = { changes: Object.keys(engineDiff).length, diff: engineDiff };
+
+  // Notes are differences no import can clear, they are reported, not counted
+  for (const [section, sectionDiff] of Object.entries(diff).filter(([section]) => section !== 'notes')) {
+    // An import keeps fields that only exist on the target, so countChanges
+    // leaves them out; between two environments they are drift
+    const liveOnly = section === 'schema' ? sectionDiff.liveOnly.length : 0;
+    sections[section] = { changes: countChanges({ [section]: sectionDiff }) + liveOnly, diff: sectionDiff };
+  }
+
+  const drifted = Object.values(sections).some(s => s.changes > 0);
+  return { source: srcName, target: dstName, status: drifted ? 'different' : 'in_sync', sections, notes: diff.notes || [] };
+}
+
+function summarize(entries) {
+  const summary = { total: entries.length, in_sync: 0, different: 0, missing: 0, extra: 0, error: 0 };
+  for (const entry of entries) {
+    summary[entry.status] += 1;
+  }
+  summary.drifted = summary.different + summary.missing + summary.extra;
+  return summary;
+}
+
+/* -----------------------
+   Console table
+   ----------------------- */
+
+function formatDriftTable(entries) {
+  const header = ['Source engine', 'Target engine', 'Status', ...SECTIONS, 'Notes'];
+  const rows = entries.map(entry => [
+    entry.source,
+    entry.target,
+    entry.status,
+    ...SECTIONS.map(section => {
+      if (!entry.sections) return '-';
+      const s = entry.sections[section];
+      if (!s) return '-';
+      return s.changes ? String(s.changes) : '=';
+    }),
+    entry.notes && entry.notes.length ? String(entry.notes.length) : ''
+  ]);
+  return formatTable(header, rows);
+}
+
+module.exports = driftAppSearchEngines;
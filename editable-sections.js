@@ -0,0 +1,499 @@
+// editable-sections.js
+//
+// The synonyms and curations of an engine as files that are easy to edit by
+// hand or in a spreadsheet, without the rest of the engine JSON. The format
+// follows the file extension:
+//
+//   .csv            synonyms: a "synonyms" header row, then one set per row
+//                   with one word per cell
+//                   curations: a "query,promoted,hidden" header row, then one
+//                   curation per row; a cell holding several queries or ids
+//                   separates them with "|"
+//   .yaml / .yml    synonyms: a list of word lists
+//                   curations: a list of { queries, promoted, hidden }
+//
+// Importing goes through the section import of import-app-search-engine.js,
+// with its snapshot, preflight and rollback. In replace mode the engine ends
+// up with exactly the sets and curations in the file; in merge mode the file
+// adds synonym sets and replaces the curations of the queries it lists, and
+// everything else on the engine is kept.
+//
+// Problems in a file are reported with the row (the item, not counting the
+// header) and the line it starts on.
+//
+// For curation work, the export can add a row for every top and no-results
+// query of an export-analytics file that has no curation yet. A row with
+// nothing promoted or hidden is never sent (App Search rejects such a
+// curation): its queries end up without a curation. Rows that were left
+// empty change nothing, and emptying the row of a curated query deletes its
+// curation, in merge mode too.
+
+const fs = require('fs/promises');
+const path = require('path');
+const YAML = require('yaml');
+
+const importAppSearchEngine = require('./import-app-search-engine');
+const { exportSynonyms, exportCurations } = require('./export-app-search-engine');
+const { diffEngine, countChanges } = require('./diff-app-search-engine');
+const { formatPlan } = require('./plan-app-search-engine');
+const { FORMAT_VERSION } = require('./engine-format');
+const { createClient } = require('./request-policy');
+const { EntsporterError, ValidationError, checkErrors } = require('./errors');
+const { parseCsv, formatCsv } = require('./csv-format');
+const { topQueriesOf } = require('./export-analytics');
+
+const MODES = ['replace', 'merge'];
+const LIST_SEPARATOR = '|';
+const CURATION_COLUMNS = ['query', 'promoted', 'hidden'];
+// Column names accepted for the query column of a curations CSV
+const QUERY_COLUMN_ALIASES = ['query', 'queries'];
+
+const normalizeQuery = (query) => String(query).trim().toLowerCase();
+const sortedKey = (values) => JSON.stringify([...values].map(String).sort());
+
+function formatOf(filePath) {
+  if (/\.csv$/i.test(filePath)) return 'csv';
+  if (/\.ya?ml$/i.test(filePath)) return 'yaml';
+  throw new EntsporterError(`${filePath}: expected a .csv, .yaml or .yml file`);
+}
+
+const at = (entry) => `row ${entry.row} (line ${entry.line})`;
+
+// The ValidationError for the problems of a file, each "row N (line M): ..."
+// or, for the file as a whole, "line M: ..."
+function invalidFile(section, filePath, errors) {
+  return new ValidationError(`Invalid ${section} ${filePath}:\n${errors.map(error => `  ${error}`).join('\n')}`, {
+    source: filePath,
+    errors
+  });
+}
+
+/* -----------------------
+   CSV
+   ----------------------- */
+
+const splitList = (cell) => (cell || '').split(LIST_SEPARATOR).map(value => value.trim()).filter(Boolean);
+
+function joinList(values, what, filePath) {
+  for (const value of values) {
+    if (String(value).includes(LIST_SEPARATOR)) {
+      throw new EntsporterError(`${filePath}: ${what} "${value}" contains "${LIST_SEPARATOR}", which separates values in a CSV cell; export to YAML instead`);
+    }
+  }
+  return values.join(` ${LIST_SEPARATOR} `);
+}
+
+// parseCsv reports an unterminated quote as "line N: ..."
+function csvRows(text, section, filePath) {
+  try {
+    return parseCsv(text);
+  } catch (err) {
+    throw invalidFile(section, filePath, [err.message]);
+  }
+}
+
+function synonymsFromCsv(text, filePath) {
+  const [header, ...rows] = csvRows(text, 'synonyms', filePath);
+  if (!header || header.cells[0].trim().toLowerCase() !== 'synonyms') {
+    throw invalidFile('synonyms', filePath, [`line ${header ? header.line : 1}: expected a header row starting with "synonyms"`]);
+  }
+  return rows.map((row, i) => ({
+    synonyms: row.cells.map(cell => cell.trim()).filter(Boolean),
+    row: i + 1,
+    line: row.line
+  }));
+}
+
+function curationsFromCsv(text, filePath) {
+  const [header, ...rows] = csvRows(text, 'curations', filePath);
+  const columns = header ? header.cells.map(cell => cell.trim().toLowerCase()) : [];
+  const queryColumn = columns.findIndex(column => QUERY_COLUMN_ALIASES.includes(column));
+  const unknown = columns.filter(column => column && !CURATION_COLUMNS.includes(column) && !QUERY_COLUMN_ALIASES.includes(column));
+  if (queryColumn < 0 || unknown.length) {
+    throw invalidFile('curations', filePath, [`line ${header ? header.line : 1}: expected a header row with the columns ${CURATION_COLUMNS.join(', ')}` +
+      (unknown.length ? `, found unknown column(s) ${unknown.join(', ')}` : '')]);
+  }
+  const cellOf = (row, column) => columns.includes(column) ? row.cells[columns.indexOf(column)] : '';
+  return rows.map((row, i) => ({
+    queries: splitList(row.cells[queryColumn]),
+    promoted: splitList(cellOf(row, 'promoted')),
+    hidden: splitList(cellOf(row, 'hidden')),
+    row: i + 1,
+    line: row.line
+  }));
+}
+
+/* -----------------------
+   YAML
+   ----------------------- */
+
+// The items of a top-level YAML list, each with the line it starts on
+function yamlItems(text, section, filePath) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter });
+  if (doc.errors.length) {
+    // The messages end with an excerpt of the file and name the position
+    throw invalidFile(section, filePath, doc.errors.map(err =>
+      `line ${err.linePos ? err.linePos[0].line : 1}: ${err.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`));
+  }
+  if (doc.contents === null) return [];
+  if (!YAML.isSeq(doc.contents)) {
+    throw invalidFile(section, filePath, ['line 1: expected a list']);
+  }
+  return doc.contents.items.map((node, i) => ({
+    value: node && typeof node.toJSON === 'function' ? node.toJSON() : node,
+    row: i + 1,
+    line: node && node.range ? lineCounter.linePos(node.range[0]).line : 1
+  }));
+}
+
+// A list value of a YAML item, a single string counting as a list of one
+const yamlList = (value) => (value === undefined || value === null ? [] : [].concat(value))
+  .map(item => String(item).trim()).filter(Boolean);
+
+// Items that are not the expected shape carry the problem, which validation
+// reports in row order with the rest
+function synonymsFromYaml(text, filePath) {
+  return yamlItems(text, 'synonyms', filePath).map(({ value, row, line }) => {
+    const words = value && !Array.isArray(value) && typeof value === 'object' ? value.synonyms : value;
+    return Array.isArray(words)
+      ? { synonyms: yamlList(words), row, line }
+      : { synonyms: [], row, line, problem: 'expected a list of words' };
+  });
+}
+
+function curationsFromYaml(text, filePath) {
+  return yamlItems(text, 'curations', filePath).map(({ value, row, line }) => {
+    if (!value || Array.isArray(value) || typeof value !== 'object') {
+      return { queries: [], promoted: [], hidden: [], row, line, problem: 'expected { queries, promoted, hidden }' };
+    }
+    const unknown = Object.keys(value).filter(key => !['queries', 'query', 'promoted', 'hidden'].includes(key));
+    return {
+      queries: yamlList(value.queries !== undefined ? value.queries : value.query),
+      promoted: yamlList(value.promoted),
+      hidden: yamlList(value.hidden),
+      row,
+      line,
+      problem: unknown.length ? `unknown key(s) ${unknown.join(', ')}, expected queries, promoted, hidden` : undefined
+    };
+  });
+}
+
+/* -----------------------
+   Validation
+   ----------------------- */
+
+function validateSynonyms(entries, errors) {
+  const sets = new Map();
+  for (const entry of entries) {
+    const words = entry.synonyms;
+    if (entry.problem) {
+      errors.push(`${at(entry)}: ${entry.problem}`);
+      continue;
+    }
+    if (!words.length) {
+      errors.push(`${at(entry)}: empty synonym set`);
+      continue;
+    }
+    const seen = new Set();
+    for (const word of words) {
+      if (seen.has(word.toLowerCase())) errors.push(`${at(entry)}: word "${word}" appears twice`);
+      seen.add(word.toLowerCase());
+    }
+    if (seen.size < 2) {
+      errors.push(`${at(entry)}: a synonym set needs at least two different words`);
+    }
+    const key = sortedKey(seen);
+    if (sets.has(key)) errors.push(`${at(entry)}: same synonym set as ${at(sets.get(key))}`);
+    else sets.set(key, entry);
+  }
+}
+
+function validateCurations(entries, errors) {
+  const owners = new Map();
+  for (const entry of entries) {
+    if (entry.problem) {
+      errors.push(`${at(entry)}: ${entry.problem}`);
+      continue;
+    }
+    if (!entry.queries.length) {
+      errors.push(`${at(entry)}: no query`);
+    }
+    for (const query of entry.queries) {
+      const owner = owners.get(normalizeQuery(query));
+      if (owner === entry) errors.push(`${at(entry)}: query "${query}" appears twice`);
+      else if (owner) errors.push(`${at(entry)}: duplicate query "${query}", already curated in ${at(owner)}`);
+      else owners.set(normalizeQuery(query), entry);
+    }
+    for (const list of ['promoted', 'hidden']) {
+      entry[list].forEach((id, i) => {
+        if (entry[list].indexOf(id) !== i) errors.push(`${at(entry)}: id "${id}" is ${list} twice`);
+      });
+    }
+    for (const id of entry.promoted.filter(id => entry.hidden.includes(id))) {
+      errors.push(`${at(entry)}: id "${id}" is both promoted and hidden`);
+    }
+  }
+}
+
+/* -----------------------
+   Files
+   ----------------------- */
+
+// Reads a synonyms or curations file (section 'synonyms' or 'curations').
+// Resolves to the entries in engine JSON form; throws a ValidationError
+// listing every problem with its row and line.
+async function readSectionFile(section, filePath) {
+  const format = formatOf(filePath);
+  let text;
+  try {
+    text = await fs.readFile(filePath, { encoding: 'utf8' });
+  } catch (err) {
+    throw new ValidationError(`Could not read ${section} ${filePath}: ${err.message || err}`, {
+      source: filePath,
+      errors: [err.message || String(err)]
+    });
+  }
+  let entries;
+  if (section === 'synonyms') {
+    entries = format === 'csv' ? synonymsFromCsv(text, filePath) : synonymsFromYaml(text, filePath);
+  } else {
+    entries = format === 'csv' ? curationsFromCsv(text, filePath) : curationsFromYaml(text, filePath);
+  }
+
+  const errors = [];
+  (section === 'synonyms' ? validateSynonyms : validateCurations)(entries, errors);
+  if (errors.length) {
+    throw invalidFile(section, filePath, errors);
+  }
+  return entries.map(entry => section === 'synonyms'
+    ? { synonyms: entry.synonyms }
+    : { queries: entry.queries, promoted: entry.promoted, hidden: entry.hidden });
+}
+
+// YAML for a list of entries, with the lists inside an entry on one line:
+// "- [a, b, c]" or "  promoted: [a, b]"
+function entriesYaml(entries) {
+  const doc = new YAML.Document(entries);
+  YAML.visit(doc, {
+    Seq(key, node, nodePath) {
+      if (nodePath.length > 1) node.flow = true;
+    }
+  });
+  return doc.toString();
+}
+
+async function writeSectionFile(section, filePath, entries) {
+  const format = formatOf(filePath);
+  let text;
+  if (section === 'synonyms') {
+    text = format === 'csv'
+      ? formatCsv([['synonyms'], ...entries.map(set => set.synonyms)])
+      : entriesYaml(entries.map(set => set.synonyms));
+  } else {
+    text = format === 'csv'
+      ? formatCsv([CURATION_COLUMNS, ...entries.map(curation => [
+        joinList(curation.queries || [], 'query', filePath),
+        joinList(curation.promoted || [], 'id', filePath),
+        joinList(curation.hidden || [], 'id', filePath)
+      ])])
+      : entriesYaml(entries.map(curation => ({
+        queries: curation.queries || [],
+        promoted: curation.promoted || [],
+        hidden: curation.hidden || []
+      })));
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, text);
+}
+
+/* -----------------------
+   Analytics queries
+   ----------------------- */
+
+// Empty curations for the top and no-results queries of an analytics file
+// that no curation has yet, most searched first
+async function uncuratedQueryRows(analyticsPath, curations) {
+  let analytics;
+  try {
+    analytics = JSON.parse(await fs.readFile(analyticsPath, { encoding: 'utf8' }));
+  } catch (err) {
+    throw new ValidationError(`Could not read analytics ${analyticsPath}: ${err.message || err}`, {
+      source: analyticsPath,
+      errors: [`$: ${err.message || err}`]
+    });
+  }
+  if (!Array.isArray(analytics.top_queries)) {
+    throw new ValidationError(`${analyticsPath} is not an analytics export`, {
+      source: analyticsPath,
+      errors: ['$.top_queries: expected a list, write the file with export-analytics']
+    });
+  }
+
+  const curated = new Set(curations.flatMap(curation => curation.queries.map(normalizeQuery)));
+  const noResults = topQueriesOf({ top_queries: analytics.no_results_queries || [] });
+  const rows = [];
+  for (const query of [...topQueriesOf(analytics), ...noResults]) {
+    if (curated.has(normalizeQuery(query))) continue;
+    curated.add(normalizeQuery(query));
+    rows.push({ queries: [query], promoted: [], hidden: [] });
+  }
+  return rows;
+}
+
+// Splits off the curations with nothing promoted or hidden, App Search
+// rejects them. Resolves to the others and the queries of the empty ones,
+// which are left without a curation.
+function withoutEmptyRows(curations, live) {
+  const isEmpty = (curation) => !curation.promoted.length && !curation.hidden.length;
+  const liveQueries = new Set(live.flatMap(curation => curation.queries.map(normalizeQuery)));
+  const cleared = curations.filter(isEmpty).flatMap(curation => curation.queries);
+  const deleted = cleared.filter(query => liveQueries.has(normalizeQuery(query)));
+  if (cleared.length) {
+    console.log(`Skipping ${curations.filter(isEmpty).length} curation(s) with nothing promoted or hidden` +
+      (deleted.length ? `, the curation of ${deleted.map(query => `"${query}"`).join(', ')} is deleted.` : '.'));
+  }
+  return { curations: curations.filter(curation => !isEmpty(curation)), cleared };
+}
+
+/* -----------------------
+   Merge
+   ----------------------- */
+
+// The live synonym sets plus the sets from the file that are not on the engine
+function mergeSynonyms(live, fromFile) {
+  const liveKeys = new Set(live.map(set => sortedKey(set.synonyms)));
+  return [...live, ...fromFile.filter(set => !liveKeys.has(sortedKey(set.synonyms)))];
+}
+
+// The file's curations, plus the live curations for queries the file does not
+// list (cleared: the queries of its empty rows). A live curation that shares
+// only some queries with the file keeps the others.
+function mergeCurations(live, fromFile, cleared = []) {
+  const fileQueries = new Set([...fromFile.flatMap(curation => curation.queries), ...cleared].map(normalizeQuery));
+  const kept = live
+    .map(curation => Object.assign({}, curation, {
+      queries: curation.queries.filter(query => !fileQueries.has(normalizeQuery(query)))
+    }))
+    .filter(curation => curation.queries.length);
+  return [...kept, ...fromFile];
+}
+
+/* -----------------------
+   Export and import
+   ----------------------- */
+
+function sectionFiles(options) {
+  const files = ['synonyms', 'curations']
+    .filter(section => options[section])
+    .map(section => ({ section, filePath: options[section] }));
+  if (!files.length) {
+    throw new EntsporterError('Nothing to do: give a synonyms file, a curations file or both');
+  }
+  files.forEach(({ filePath }) => formatOf(filePath));
+  return files;
+}
+
+// Options: appSearchEndpoint/appSearchPrivateKey, the files to write,
+// synonyms and/or curations, and addQueries (an export-analytics JSON whose
+// uncurated queries are added to the curations file). Resolves to
+// { synonyms, curations } as exported.
+async function exportEditableSections(engineName, options) {
+  const files = sectionFiles(options);
+  console.log(`Exporting ${files.map(file => file.section).join(' and ')} of engine ${engineName}, host: ${options.appSearchEndpoint}`);
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+
+  const result = {};
+  for (const { section, filePath } of files) {
+    const entries = section === 'synonyms'
+      ? await exportSynonyms(client, engineName)
+      : await exportCurations(client, engineName);
+    const added = section === 'curations' && options.addQueries ? await uncuratedQueryRows(options.addQueries, entries) : [];
+    await writeSectionFile(section, filePath, [...entries, ...added]);
+    console.log(`Wrote ${entries.length} ${section === 'synonyms' ? 'synonym set(s)' : 'curation(s)'} to ${filePath}` +
+      (options.addQueries && section === 'curations' ? `, plus ${added.length} uncurated query(ies) from ${options.addQueries}` : ''));
+    result[section] = entries;
+  }
+  return result;
+}
+
+// Options: appSearchEndpoint/appSearchPrivateKey, the files to read,
+// synonyms and/or curations, mode ('replace', the default, or 'merge'),
+// dryRun (print the changes only), and the import options snapshotDir
+// (default: next to the first file), preflight/fieldLimit and events.
+// Resolves to the engine JSON that was imported.
+async function importEditableSections(engineName, options) {
+  const mode = options.mode || 'replace';
+  if (!MODES.includes(mode)) {
+    throw new EntsporterError(`Unknown mode "${mode}", expected one of ${MODES.join(', ')}`);
+  }
+  const files = sectionFiles(options);
+  console.log(`Importing ${files.map(file => file.section).join(' and ')} into ${engineName} (${mode}), host: ${options.appSearchEndpoint}`);
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+
+  // Read every file before touching the engine, so one bad file stops the import
+  const fromFiles = {};
+  for (const { section, filePath } of files) {
+    fromFiles[section] = await readSectionFile(section, filePath);
+    console.log(`Read ${fromFiles[section].length} ${section === 'synonyms' ? 'synonym set(s)' : 'curation(s)'} from ${filePath}`);
+  }
+
+  let engine;
+  try {
+    engine = checkErrors(await client.app.getEngine({ engine_name: engineName }), 'engine', engineName);
+  } catch (err) {
+    if (err.statusCode === 404 || err.status === 404) {
+      throw new EntsporterError(`Engine ${engineName} does not exist, synonyms and curations can only be imported into an existing engine`);
+    }
+    throw err;
+  }
+
+  const live = {
+    synonyms: fromFiles.synonyms ? await exportSynonyms(client, engineName) : undefined,
+    curations: fromFiles.curations ? await exportCurations(client, engineName) : undefined
+  };
+  const engineJson = {
+    format_version: FORMAT_VERSION,
+    read_only: { name: engine.name, type: engine.type, language: engine.language }
+  };
+  if (engine.type === 'meta') {
+    engineJson.read_only.source_engines = engine.source_engines || [];
+  }
+  if (fromFiles.synonyms) {
+    engineJson.synonyms = mode === 'merge' ? mergeSynonyms(live.synonyms, fromFiles.synonyms) : fromFiles.synonyms;
+  }
+  if (fromFiles.curations) {
+    const { curations, cleared } = withoutEmptyRows(fromFiles.curations, live.curations);
+    engineJson.curations = mode === 'merge' ? mergeCurations(live.curations, curations, cleared) : curations;
+  }
+
+  if (options.dryRun) {
+    const diff = diffEngine(engineJson, live);
+    const changes = countChanges(diff);
+    console.log(`Dry run, changes that would be made to engine ${engineName}:`);
+    formatPlan(diff).forEach(line => console.log(line));
+    console.log(changes ? `${changes} change(s).` : 'No changes.');
+    return engineJson;
+  }
+
+  return importAppSearchEngine(engineName, {
+    appSearchEndpoint: options.appSearchEndpoint,
+    appSearchPrivateKey: options.appSearchPrivateKey,
+    engineJson,
+    only: files.map(file => file.section),
+    snapshotDir: options.snapshotDir || path.dirname(files[0].filePath),
+    preflight: options.preflight,
+    fieldLimit: options.fieldLimit,
+    events: options.events
+  });
+}
+
+module.exports = {
+  exportEditableSections,
+  importEditableSections,
+  readSectionFile,
+  writeSectionFile,
+  mergeSynonyms,
+  mergeCurations,
+  MODES
+};
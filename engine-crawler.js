@@ -0,0 +1,367 @@
+// engine-crawler.js
+//
+// The crawler REST API, which the Enterprise Search JS SDK does not cover.
+//
+//   export  extraction rules per domain, the crawl schedule and the user
+//           agent, on top of the domains, entry points, crawl rules and
+//           sitemaps read in export-app-search-engine.js
+//   import  the whole crawler configuration, checking the default crawl rule
+//           and the crawl rule order afterwards. Items that fail do not stop
+//           the import, they are listed in a report that the import returns
+//           and the CLI turns into a nonzero exit code.
+//   crawl   request a crawl and poll it until it is finished
+//
+// Domain ids are server-generated, so items point at their domain by the
+// source domain's id or by its name.
+
+const { InvalidArgumentError } = require('commander');
+const { fetchWithRetry } = require('./request-policy');
+const { ApiError, EntsporterError } = require('./errors');
+
+// Keys of a domain that are not settings: set by the server, the domain's
+// name, or migrated as items of their own. Every other key of the source
+// domain (deduplication and whatever else the cluster returns) is set after
+// the domain is created.
+const DOMAIN_NON_SETTINGS = ['id', 'name', 'url', 'domain', 'document_count', 'created_at', 'updated_at', 'last_visited_at',
+  'available_deduplication_fields', 'entry_points', 'entryPoints', 'crawl_rules', 'crawlRules', 'default_crawl_rule',
+  'sitemaps', 'extraction_rules'];
+// Keys of an extraction rule the server sets
+const EXTRACTION_RULE_READ_ONLY = ['id', 'domain_id', 'created_at', 'updated_at', 'edited_by'];
+const CRAWL_DONE_STATUSES = ['success', 'failed', 'canceled', 'skipped', 'suspended'];
+const DEFAULT_POLL_INTERVAL = 30;
+const PAGE_SIZE = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const messageOf = (err) => (err && err.message ? err.message : String(err));
+
+/* -----------------------
+   Requests
+   ----------------------- */
+
+async function crawlerRequest(options, engineName, method, subpath, body) {
+  const url = options.appSearchEndpoint.replace(/\/$/, '') +
+    `/api/as/v1/engines/${encodeURIComponent(engineName)}/crawler${subpath}`;
+  const resp = await fetchWithRetry(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${options.appSearchPrivateKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await resp.text();
+  let json;
+  try {
+    json = text ? JSON.parse(text) : {};
+  } catch (err) {
+    json = { errors: [text] };
+  }
+  if (!resp.ok) {
+    throw new ApiError(`${method} crawler${subpath} failed with status ${resp.status}: ${JSON.stringify(json.errors || json)}`, {
+      status: resp.status,
+      section: 'crawler',
+      engineName,
+      errors: json.errors || null
+    });
+  }
+  return json;
+}
+
+// Resolves to null when the endpoint does not exist on this cluster
+function optionalRequest(promise) {
+  return promise.catch(err => (err.status === 404 ? null : Promise.reject(err)));
+}
+
+async function fetchAllPages(options, engineName, subpath) {
+  const all = [];
+  for (let page = 1; ; page += 1) {
+    const json = await crawlerRequest(options, engineName, 'GET', `${subpath}?page[current]=${page}&page[size]=${PAGE_SIZE}`);
+    all.push(...(json.results || []));
+    const metaPage = json.meta && json.meta.page;
+    if (!metaPage || page >= metaPage.total_pages) return all;
+  }
+}
+
+/* -----------------------
+   Export
+   ----------------------- */
+
+// Adds extraction_rules to every domain and resolves to { crawlSchedule,
+// userAgent }, each null when it is not set or the cluster does not have it
+async function exportCrawlerSettings(engineName, options, domains) {
+  for (const domain of domains) {
+    if (!domain.id) continue;
+    try {
+      const rules = await optionalRequest(fetchAllPages(options, engineName, `/domains/${encodeURIComponent(domain.id)}/extraction_rules`));
+      if (rules) domain.extraction_rules = rules;
+    } catch (err) {
+      console.warn(`Could not fetch extraction rules of crawler domain ${domain.name}:`, messageOf(err));
+    }
+  }
+
+  let crawlSchedule = null;
+  let userAgent = null;
+  try {
+    const schedule = await optionalRequest(crawlerRequest(options, engineName, 'GET', '/crawl_schedule'));
+    if (schedule && schedule.frequency) crawlSchedule = { frequency: schedule.frequency, unit: schedule.unit };
+  } catch (err) {
+    console.warn('Could not fetch the crawl schedule:', messageOf(err));
+  }
+  try {
+    const agent = await optionalRequest(crawlerRequest(options, engineName, 'GET', '/user_agent'));
+    if (agent && agent.user_agent) userAgent = agent.user_agent;
+  } catch (err) {
+    console.warn('Could not fetch the crawler user agent:', messageOf(err));
+  }
+  return { crawlSchedule, userAgent };
+}
+
+/* -----------------------
+   Import
+   ----------------------- */
+
+const domainLabel = (domain) => domain.name || domain.url || domain.domain || '';
+const ruleKey = (rule) => `${rule.policy} ${rule.rule} ${rule.pattern}`;
+
+// The flat list of a crawler item type, or the lists nested in the domains
+function itemsOf(crawler, camel, snake, nested) {
+  const items = crawler[camel] || crawler[snake];
+  if (Array.isArray(items)) return items;
+  return (crawler.domains || []).flatMap(domain =>
+    (domain[nested] || []).map(item => Object.assign({ domain_id: domain.id || domainLabel(domain) }, item)));
+}
+
+// Crawl rules of one domain in order, without its default crawl rule. The
+// default rule is found by id, or by policy, rule and pattern when the export
+// was written with --strip-ids.
+function orderedRules(rules, defaultRule) {
+  const orderOf = (rule) => (typeof rule.order === 'number' ? rule.order : Number.MAX_SAFE_INTEGER);
+  const isDefault = (rule) => Boolean(defaultRule) &&
+    (rule.id && defaultRule.id ? rule.id === defaultRule.id : ruleKey(rule) === ruleKey(defaultRule));
+  return rules
+    .filter(rule => !isDefault(rule))
+    .sort((a, b) => orderOf(a) - orderOf(b));
+}
+
+// Imports the crawler configuration into a new engine. Resolves to the
+// report { migrated, notMigrated: [{ item, reason }] }.
+async function importCrawlerViaRest(engineName, crawler, options) {
+  console.log('Importing crawler configuration via REST...');
+  const request = (method, subpath, body) => crawlerRequest(options, engineName, method, subpath, body);
+  const report = { migrated: 0, notMigrated: [] };
+  const notMigrated = (item, reason) => report.notMigrated.push({ item, reason });
+  const attempt = async (item, fn) => {
+    try {
+      await fn();
+      report.migrated += 1;
+      return true;
+    } catch (err) {
+      notMigrated(item, messageOf(err));
+      return false;
+    }
+  };
+
+  // Source domain id or name -> { source, created }
+  const domains = new Map();
+  const domainOf = (item) => domains.get(item.domain_id);
+
+  for (const source of crawler.domains || []) {
+    const name = domainLabel(source);
+    let created;
+    const ok = await attempt(`domain ${name}`, async () => {
+      created = await request('POST', '/domains', { name });
+      console.log(`Created crawler domain ${name} => id ${created.id}`);
+    });
+    if (!ok) continue;
+    const entry = { source, created };
+    for (const key of [source.id, source.name, source.url, source.domain]) {
+      if (key) domains.set(key, entry);
+    }
+
+    // One request per setting, so a setting the target does not know fails alone
+    for (const [key, value] of Object.entries(source).filter(([key, value]) => !DOMAIN_NON_SETTINGS.includes(key) && value !== undefined)) {
+      await attempt(`domain ${name} setting ${key}`, () => request('PUT', `/domains/${encodeURIComponent(created.id)}`, { [key]: value }));
+    }
+    // The default crawl rule is created with the domain and cannot be changed
+    const wanted = source.default_crawl_rule;
+    const actual = created.default_crawl_rule;
+    if (wanted && actual && ruleKey(wanted) !== ruleKey(actual)) {
+      notMigrated(`domain ${name} default crawl rule`, `the source has "${ruleKey(wanted)}", the target domain was created with "${ruleKey(actual)}"`);
+    }
+  }
+
+  const unknownDomain = (kind, item, label) =>
+    notMigrated(`${kind} ${label}`, item.domain_id ? `unknown domain "${item.domain_id}"` : 'no domain_id');
+
+  const entryPointsByDomain = new Map();
+  for (const ep of itemsOf(crawler, 'entryPoints', 'entry_points', 'entry_points')) {
+    const domain = domainOf(ep);
+    if (!domain) {
+      unknownDomain('entry point', ep, ep.value);
+      continue;
+    }
+    if (!entryPointsByDomain.has(domain)) entryPointsByDomain.set(domain, new Set());
+    entryPointsByDomain.get(domain).add(ep.value);
+    // A new domain comes with an entry point for "/"
+    if ((domain.created.entry_points || []).some(existing => existing.value === ep.value)) {
+      report.migrated += 1;
+      continue;
+    }
+    await attempt(`entry point ${domainLabel(domain.source)}${ep.value}`, () =>
+      request('POST', `/domains/${encodeURIComponent(domain.created.id)}/entry_points`, { value: ep.value }));
+  }
+  // ...which is removed when the source domain does not have it
+  for (const domain of new Set(domains.values())) {
+    const values = entryPointsByDomain.get(domain) || new Set();
+    for (const extra of (domain.created.entry_points || []).filter(existing => !values.has(existing.value))) {
+      try {
+        await request('DELETE', `/domains/${encodeURIComponent(domain.created.id)}/entry_points/${encodeURIComponent(extra.id)}`);
+      } catch (err) {
+        notMigrated(`entry point ${domainLabel(domain.source)}${extra.value}`, `created with the domain, not on the source, and could not be removed: ${messageOf(err)}`);
+      }
+    }
+  }
+
+  const rulesByDomain = new Map();
+  for (const cr of itemsOf(crawler, 'crawlRules', 'crawl_rules', 'crawl_rules')) {
+    const domain = domainOf(cr);
+    if (!domain) {
+      unknownDomain('crawl rule', cr, ruleKey(cr));
+      continue;
+    }
+    if (!rulesByDomain.has(domain)) rulesByDomain.set(domain, []);
+    rulesByDomain.get(domain).push(cr);
+  }
+  for (const [domain, rules] of rulesByDomain) {
+    const name = domainLabel(domain.source);
+    const expected = [];
+    for (const rule of orderedRules(rules, domain.source.default_crawl_rule)) {
+      const ok = await attempt(`crawl rule ${name} ${ruleKey(rule)}`, () =>
+        request('POST', `/domains/${encodeURIComponent(domain.created.id)}/crawl_rules`, {
+          policy: rule.policy,
+          rule: rule.rule,
+          pattern: rule.pattern,
+          order: expected.length
+        }));
+      if (ok) expected.push(ruleKey(rule));
+    }
+    // The first matching rule wins, so a different order crawls different pages
+    try {
+      const live = await request('GET', `/domains/${encodeURIComponent(domain.created.id)}`);
+      const actual = orderedRules(live.crawl_rules || [], live.default_crawl_rule).map(ruleKey);
+      if (actual.join('\n') !== expected.join('\n')) {
+        notMigrated(`crawl rule order of ${name}`, `expected [${expected.join('; ')}], the target has [${actual.join('; ')}]`);
+      }
+    } catch (err) {
+      notMigrated(`crawl rule order of ${name}`, `could not be checked: ${messageOf(err)}`);
+    }
+  }
+
+  for (const sm of itemsOf(crawler, 'sitemaps', 'sitemaps', 'sitemaps')) {
+    const url = sm.url || sm.value;
+    const domain = domainOf(sm);
+    if (!domain) {
+      unknownDomain('sitemap', sm, url);
+      continue;
+    }
+    await attempt(`sitemap ${url}`, () =>
+      request('POST', `/domains/${encodeURIComponent(domain.created.id)}/sitemaps`, { url }));
+  }
+
+  for (const { source, created } of new Set(domains.values())) {
+    for (const rule of source.extraction_rules || []) {
+      const body = Object.fromEntries(Object.entries(rule).filter(([key]) => !EXTRACTION_RULE_READ_ONLY.includes(key)));
+      await attempt(`extraction rule ${domainLabel(source)} "${rule.description || rule.id}"`, () =>
+        request('POST', `/domains/${encodeURIComponent(created.id)}/extraction_rules`, { extraction_rule: body }));
+    }
+  }
+
+  if (crawler.crawlSchedule) {
+    const { frequency, unit } = crawler.crawlSchedule;
+    await attempt(`crawl schedule (every ${frequency} ${unit})`, () => request('PUT', '/crawl_schedule', { frequency, unit }));
+  }
+
+  // The user agent is part of the Enterprise Search configuration, not of the engine
+  if (crawler.userAgent) {
+    const target = await optionalRequest(request('GET', '/user_agent')).catch(() => null);
+    if (target && target.user_agent === crawler.userAgent) {
+      report.migrated += 1;
+    } else {
+      notMigrated('user agent', `the source crawls as "${crawler.userAgent}", ` +
+        `the target as "${target ? target.user_agent : 'unknown'}"; set crawler.http.user_agent in enterprise-search.yml`);
+    }
+  }
+
+  console.log(`Crawler: ${report.migrated} item(s) migrated, ${report.notMigrated.length} not migrated.`);
+  report.notMigrated.forEach(({ item, reason }) => console.warn(`  - not migrated: ${item}: ${reason}`));
+  return report;
+}
+
+// Number of crawler items not migrated by the import that resolved to engineJson
+function crawlerItemsNotMigrated(engineJson) {
+  return engineJson && engineJson.crawlerReport ? engineJson.crawlerReport.notMigrated.length : 0;
+}
+
+/* -----------------------
+   Crawl
+   ----------------------- */
+
+// Requests a crawl of the engine's domains and polls it every
+// options.crawlPollInterval seconds until it is done, or until
+// options.crawlTimeout minutes have passed. Resolves to the finished crawl
+// request; throws when it did not succeed.
+async function runCrawl(engineName, options) {
+  const interval = (options.crawlPollInterval || DEFAULT_POLL_INTERVAL) * 1000;
+  const deadline = options.crawlTimeout ? Date.now() + options.crawlTimeout * 60 * 1000 : null;
+
+  let crawl = await crawlerRequest(options, engineName, 'POST', '/crawl_requests', {});
+  console.log(`Started crawl ${crawl.id} of engine ${engineName} (${crawl.status})`);
+  let status = crawl.status;
+  while (!CRAWL_DONE_STATUSES.includes(crawl.status)) {
+    if (deadline && Date.now() >= deadline) {
+      throw new EntsporterError(`Crawl ${crawl.id} of engine ${engineName} is still ${crawl.status} after ${options.crawlTimeout} minute(s), it keeps running`);
+    }
+    await sleep(interval);
+    crawl = await crawlerRequest(options, engineName, 'GET', `/crawl_requests/${encodeURIComponent(crawl.id)}`);
+    if (crawl.status !== status) {
+      status = crawl.status;
+      console.log(`Crawl ${crawl.id}: ${status}`);
+    }
+  }
+
+  if (crawl.status !== 'success') {
+    throw new EntsporterError(`Crawl ${crawl.id} of engine ${engineName} finished with status ${crawl.status}`);
+  }
+  console.log(`Crawl ${crawl.id} of engine ${engineName} finished successfully`);
+  return crawl;
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+function parsePositiveNumber(value) {
+  const parsed = Number(value);
+  if (Number.isNaN(parsed) || parsed <= 0) {
+    throw new InvalidArgumentError('Must be a number > 0.');
+  }
+  return parsed;
+}
+
+// Options of every command that imports an engine
+function addCrawlOptions(command) {
+  return command
+    .option('--start-crawl', 'After importing, start a crawl and wait until it is finished (exits with code 1 when it fails)')
+    .option('--crawl-poll-interval <seconds>', 'Seconds between crawl status checks', parsePositiveNumber, DEFAULT_POLL_INTERVAL)
+    .option('--crawl-timeout <minutes>', 'Stop waiting for the crawl after this many minutes (the crawl keeps running)', parsePositiveNumber);
+}
+
+module.exports = {
+  crawlerRequest,
+  exportCrawlerSettings,
+  importCrawlerViaRest,
+  crawlerItemsNotMigrated,
+  runCrawl,
+  addCrawlOptions
+};
@@ -0,0 +1,234 @@
+// engine-documents.js
+//
+// Streams engine documents to and from an NDJSON file (one document per line)
+// so engines with millions of documents never have to fit in memory.
+
+const fs = require('fs');
+const readline = require('readline');
+
+// App Search accepts at most 100 documents per indexing request and per list page
+const BATCH_SIZE = 100;
+// documents/list stops returning results after the first 10,000 documents
+const LIST_WINDOW = 10000;
+const ES_PAGE_SIZE = 1000;
+
+// engine.json -> engine.documents.ndjson, next to the engine JSON
+function documentsPathFor(jsonPath) {
+  return jsonPath.replace(/\.json$/i, '') + '.documents.ndjson';
+}
+
+/* -----------------------
+   Export
+   ----------------------- */
+
+async function exportDocuments(client, engineName, ndjsonPath) {
+  const engine = await client.app.getEngine({ engine_name: engineName });
+  const documentCount = engine.document_count || 0;
+  console.log(`Exporting ${documentCount} document(s) to ${ndjsonPath}`);
+
+  const out = fs.createWriteStream(ndjsonPath, { encoding: 'utf8' });
+  let written = 0;
+  try {
+    const pages = documentCount > LIST_WINDOW
+      ? searchAfterPages(client, engineName)
+      : listPages(client, engineName);
+
+    for await (const documents of pages) {
+      for (const doc of documents) {
+        if (!out.write(JSON.stringify(doc) + '\n')) {
+          await new Promise(resolve => out.once('drain', resolve));
+        }
+      }
+      written += documents.length;
+      if (written % 10000 < documents.length) {
+        console.log(`  ${written} document(s) exported...`);
+      }
+    }
+  } finally {
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+  }
+
+  console.log(`Exported ${written} document(s).`);
+  return written;
+}
+
+// Pages through documents/list, which is limited to the first LIST_WINDOW documents
+async function* listPages(client, engineName) {
+  let page = 1;
+  while (true) {
+    const resp = await client.app.listDocuments({
+      engine_name: engineName,
+      page: { current: page, size: BATCH_SIZE }
+    });
+    if (resp.errors) {
+      throw new Error(`Listing documents failed: ${JSON.stringify(resp.errors)}`);
+    }
+
+    const results = resp.results || [];
+    if (results.length) yield results;
+
+    const metaPage = resp.meta && resp.meta.page;
+    if (!results.length || !metaPage || page >= metaPage.total_pages) break;
+    page += 1;
+  }
+}
+
+// Pages through the engine's Elasticsearch search API with search_after on the
+// document id, which has no result window limit.
+async function* searchAfterPages(client, engineName) {
+  let searchAfter;
+  while (true) {
+    const body = { size: ES_PAGE_SIZE, query: { match_all: {} }, sort: [{ id: 'asc' }] };
+    if (searchAfter) body.search_after = searchAfter;
+
+    const resp = await client.app.searchEsSearch({
+      engine_name: engineName,
+      body: { request: { body } }
+    });
+    if (resp.errors) {
+      throw new Error(`Searching documents failed: ${JSON.stringify(resp.errors)}`);
+    }
+
+    const hits = (resp.hits && resp.hits.hits) || [];
+    if (!hits.length) break;
+    yield hits.map(hit => Object.assign({ id: hit._id }, hit._source));
+
+    searchAfter = hits[hits.length - 1].sort;
+    if (hits.length < ES_PAGE_SIZE || !searchAfter) break;
+  }
+}
+
+/* -----------------------
+   Import
+   ----------------------- */
+
+// Indexes the NDJSON file in batches of BATCH_SIZE. Per-document errors do not
+// stop the import; they are written to <ndjsonPath>.errors.ndjson.
+async function importDocuments(client, engineName, ndjsonPath) {
+  console.log(`Importing documents from ${ndjsonPath}`);
+
+  const errorsPath = `${ndjsonPath}.errors.ndjson`;
+  let errorsOut;
+  await fs.promises.rm(errorsPath, { force: true });
+
+  // Opened right before the loop below, so no line is emitted before it listens
+  const input = fs.createReadStream(ndjsonPath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const report = { indexed: 0, failed: 0, errorsPath: null };
+  const recordError = async (entry) => {
+    report.failed += 1;
+    if (!errorsOut) {
+      errorsOut = fs.createWriteStream(errorsPath, { encoding: 'utf8' });
+      report.errorsPath = errorsPath;
+    }
+    if (!errorsOut.write(JSON.stringify(entry) + '\n')) {
+      await new Promise(resolve => errorsOut.once('drain', resolve));
+    }
+  };
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    const documents = batch.map(b => b.document);
+    const results = await client.app.indexDocuments({ engine_name: engineName, documents });
+    if (results.errors) {
+      throw new Error(`Indexing documents failed: ${JSON.stringify(results.errors)}`);
+    }
+
+    for (let i = 0; i < batch.length; i++) {
+      const result = results[i] || {};
+      if (result.errors && result.errors.length) {
+        await recordError({ line: batch[i].line, id: result.id || batch[i].document.id, errors: result.errors });
+      } else {
+        report.indexed += 1;
+      }
+    }
+    batch = [];
+
+    if ((report.indexed + report.failed) % 10000 < BATCH_SIZE) {
+      console.log(`  ${report.indexed + report.failed} document(s) processed...`);
+    }
+  };
+
+  try {
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (!line.trim()) continue;
+
+      let document;
+      try {
+        document = JSON.parse(line);
+      } catch (err) {
+        await recordError({ line: lineNumber, errors: [`Invalid JSON: ${err.message}`] });
+        continue;
+      }
+
+      batch.push({ line: lineNumber, document });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+  } finally {
+    if (errorsOut) {
+      await new Promise((resolve, reject) => errorsOut.end(err => (err ? reject(err) : resolve())));
+    }
+  }
+
+  console.log(`Indexed ${report.indexed} document(s), ${report.failed} failed.`);
+  if (report.errorsPath) {
+    console.warn(`Document errors written to ${report.errorsPath}`);
+  }
+  return report;
+}
+
+/* -----------------------
+   Copy
+   ----------------------- */
+
+// Pages documents out of one engine and indexes them into another, without an
+// intermediate file. Per-document errors do not stop the copy; the first few
+// are kept in the report.
+async function copyDocuments(sourceClient, sourceEngine, targetClient, targetEngine) {
+  const engine = await sourceClient.app.getEngine({ engine_name: sourceEngine });
+  const documentCount = engine.document_count || 0;
+  console.log(`Copying ${documentCount} document(s) from ${sourceEngine} to ${targetEngine}`);
+
+  const pages = documentCount > LIST_WINDOW
+    ? searchAfterPages(sourceClient, sourceEngine)
+    : listPages(sourceClient, sourceEngine);
+  const report = { indexed: 0, failed: 0, errors: [] };
+
+  for await (const documents of pages) {
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      const batch = documents.slice(i, i + BATCH_SIZE);
+      const results = await targetClient.app.indexDocuments({ engine_name: targetEngine, documents: batch });
+      if (results.errors) {
+        throw new Error(`Indexing documents failed: ${JSON.stringify(results.errors)}`);
+      }
+      batch.forEach((document, j) => {
+        const result = results[j] || {};
+        if (result.errors && result.errors.length) {
+          report.failed += 1;
+          if (report.errors.length < 10) report.errors.push({ id: result.id || document.id, errors: result.errors });
+        } else {
+          report.indexed += 1;
+        }
+      });
+    }
+    if ((report.indexed + report.failed) % 10000 < documents.length) {
+      console.log(`  ${report.indexed + report.failed} document(s) copied...`);
+    }
+  }
+
+  console.log(`Copied ${report.indexed} document(s), ${report.failed} failed.`);
+  report.errors.forEach(entry => console.warn(`  document ${entry.id}: ${entry.errors.join(', ')}`));
+  return report;
+}
+
+module.exports = {
+  documentsPathFor,
+  exportDocuments,
+  importDocuments,
+  copyDocuments
+};
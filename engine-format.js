@@ -0,0 +1,347 @@
+// engine-format.js
+//
+// Versioning, upgrades and validation of the exported engine JSON format.
+//
+// Format versions:
+//   1 - unversioned files written before format_version existed
+//   2 - adds format_version and metadata (tool version, source endpoint),
+//       crawler arrays always use camelCase keys
+
+const fs = require('fs/promises');
+const { version: toolVersion } = require('./package.json');
+const { EntsporterError, ValidationError } = require('./errors');
+const { readEngineDir } = require('./engine-layout');
+
+const FORMAT_VERSION = 2;
+
+const FIELD_TYPES = ['text', 'number', 'date', 'geolocation'];
+const BOOST_TYPES = ['value', 'functional', 'proximity'];
+
+/* -----------------------
+   Metadata
+   ----------------------- */
+
+function buildMetadata(options) {
+  return {
+    tool: 'entsporter',
+    tool_version: toolVersion,
+    source_endpoint: options.appSearchEndpoint,
+    exported_at: new Date().toISOString()
+  };
+}
+
+/* -----------------------
+   Upgrades
+   ----------------------- */
+
+// Each entry upgrades a file from the keyed version to the next one
+const UPGRADES = {
+  1: (engineJson) => {
+    const upgraded = Object.assign({}, engineJson);
+    if (upgraded.crawler) {
+      const crawler = Object.assign({}, upgraded.crawler);
+      for (const [from, to] of [['entry_points', 'entryPoints'], ['crawl_rules', 'crawlRules']]) {
+        if (crawler[from] && !crawler[to]) crawler[to] = crawler[from];
+        delete crawler[from];
+      }
+      upgraded.crawler = crawler;
+    }
+    return upgraded;
+  }
+};
+
+function formatVersionOf(engineJson) {
+  return engineJson.format_version === undefined ? 1 : engineJson.format_version;
+}
+
+function isObject(value) {
+  return typeOf(value) === 'object';
+}
+
+// Returns a copy of engineJson upgraded to FORMAT_VERSION. Throws on versions
+// this tool does not know, so files from a newer entsporter are not misread.
+function upgradeEngineJson(engineJson) {
+  if (!isObject(engineJson)) return engineJson;
+
+  let version = formatVersionOf(engineJson);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`$.format_version: unsupported format version ${JSON.stringify(version)}`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw new Error(`$.format_version: format version ${version} is newer than this entsporter supports (${FORMAT_VERSION}), please upgrade entsporter`);
+  }
+
+  let upgraded = engineJson;
+  while (version < FORMAT_VERSION) {
+    version += 1;
+    // format_version goes first so upgraded files read like fresh exports
+    upgraded = Object.assign({ format_version: version }, UPGRADES[version - 1](upgraded), { format_version: version });
+  }
+  return upgraded;
+}
+
+/* -----------------------
+   Validation
+   ----------------------- */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const ENGINE_JSON_SCHEMA = {
+  type: 'object',
+  required: ['format_version', 'read_only'],
+  properties: {
+    format_version: { type: 'integer' },
+    metadata: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string' },
+        tool_version: { type: 'string' },
+        source_endpoint: { type: 'string' },
+        exported_at: { type: 'string' }
+      }
+    },
+    read_only: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        type: { enum: ['default', 'meta', 'elasticsearch'] },
+        language: { type: ['string', 'null'] },
+        source_engines: stringArray
+      }
+    },
+    schema: { type: 'object', values: { enum: FIELD_TYPES } },
+    synonyms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['synonyms'],
+        properties: {
+          id: { type: 'string' },
+          synonyms: { type: 'array', minItems: 1, items: { type: 'string' } }
+        }
+      }
+    },
+    curations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['queries'],
+        properties: {
+          id: { type: 'string' },
+          queries: { type: 'array', minItems: 1, items: { type: 'string' } },
+          promoted: stringArray,
+          hidden: stringArray
+        }
+      }
+    },
+    searchSettings: {
+      type: 'object',
+      properties: {
+        search_fields: {
+          type: 'object',
+          values: { type: 'object', properties: { weight: { type: 'number' } } }
+        },
+        result_fields: { type: 'object', values: { type: 'object' } },
+        boosts: {
+          type: 'object',
+          values: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type'],
+              properties: {
+                type: { enum: BOOST_TYPES },
+                factor: { type: 'number' }
+              }
+            }
+          }
+        },
+        precision: { type: 'integer', minimum: 1, maximum: 11 },
+        precision_enabled: { type: 'boolean' }
+      }
+    },
+    engineSettings: {
+      type: 'object',
+      properties: {
+        logSettings: {
+          type: ['object', 'null'],
+          properties: {
+            analytics: { type: 'object', properties: { enabled: { type: 'boolean' } } },
+            api: { type: 'object', properties: { enabled: { type: 'boolean' } } }
+          }
+        },
+        adaptiveRelevance: {
+          type: ['object', 'null'],
+          properties: {
+            curation: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                mode: { enum: ['manual', 'automatic'] },
+                timeframe: { type: 'integer', minimum: 1 },
+                max_size: { type: 'integer', minimum: 1 },
+                min_clicks: { type: 'integer', minimum: 0 },
+                schedule_unit: { enum: ['second', 'minute', 'hour', 'day', 'week', 'month'] },
+                schedule_frequency: { type: 'integer', minimum: 1 }
+              }
+            }
+          }
+        }
+      }
+    },
+    crawler: {
+      type: 'object',
+      properties: {
+        domains: { type: 'array', items: { type: 'object' } },
+        entryPoints: { type: 'array', items: { type: 'object' } },
+        crawlRules: { type: 'array', items: { type: 'object' } },
+        sitemaps: { type: 'array', items: { type: 'object' } },
+        crawlSchedule: {
+          type: ['object', 'null'],
+          required: ['frequency', 'unit'],
+          properties: { frequency: { type: 'integer', minimum: 1 }, unit: { enum: ['hour', 'day', 'week', 'month'] } }
+        },
+        userAgent: { type: ['string', 'null'] }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// A small subset of JSON Schema: type, enum, required, properties, items,
+// values (schema for every value of an object), minItems, minimum, maximum.
+// Unknown properties are allowed so newer App Search fields round-trip.
+function validateValue(value, schema, path, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validateValue(value[key], propertySchema, `${path}.${key}`, errors);
+    }
+    if (schema.values) {
+      for (const [key, item] of Object.entries(value)) {
+        validateValue(item, schema.values, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+// Returns a list of "<json path>: <problem>" strings, empty when the file is valid
+function validateEngineJson(engineJson) {
+  const errors = [];
+  validateValue(engineJson, ENGINE_JSON_SCHEMA, '$', errors);
+
+  if (engineJson && engineJson.read_only && engineJson.read_only.type === 'meta' &&
+      !Array.isArray(engineJson.read_only.source_engines)) {
+    errors.push('$.read_only.source_engines: is required for meta engines');
+  }
+  return errors;
+}
+
+/* -----------------------
+   Reading
+   ----------------------- */
+
+// Upgrades and validates an engine JSON object. Throws a ValidationError listing
+// every problem, so nothing is imported from an unusable file.
+function prepareEngineJson(engineJson, source = 'object') {
+  let errors;
+  try {
+    const version = isObject(engineJson) ? formatVersionOf(engineJson) : FORMAT_VERSION;
+    engineJson = upgradeEngineJson(engineJson);
+    if (version !== FORMAT_VERSION) {
+      console.log(`Upgraded ${source} from format version ${version} to ${engineJson.format_version}`);
+    }
+    errors = validateEngineJson(engineJson);
+  } catch (err) {
+    errors = [err.message];
+  }
+
+  if (errors.length) {
+    throw new ValidationError(`Invalid engine JSON ${source}:\n${errors.map(error => `  ${error}`).join('\n')}`, { source, errors });
+  }
+  return engineJson;
+}
+
+// Reads, upgrades and validates an engine JSON file
+async function readEngineJson(filePath) {
+  let engineJson;
+  try {
+    engineJson = JSON.parse(await fs.readFile(filePath, { encoding: 'utf8' }));
+  } catch (err) {
+    throw new ValidationError(`Could not read engine JSON ${filePath}: ${err.message || err}`, {
+      source: filePath,
+      errors: [`$: ${err.message || err}`]
+    });
+  }
+  return prepareEngineJson(engineJson, filePath);
+}
+
+// The engine JSON for an import or plan: options.engineJson (an object, for
+// library callers), the directory layout at options.inputDir or the file at
+// options.inputJson
+async function loadEngineJson(options) {
+  if (options.engineJson) return prepareEngineJson(options.engineJson);
+  if (options.inputDir) {
+    return prepareEngineJson(await readEngineDir(options.inputDir), options.inputDir);
+  }
+  if (!options.inputJson) {
+    throw new EntsporterError('No engine JSON given, use --input-json or --input-dir');
+  }
+  return readEngineJson(options.inputJson);
+}
+
+// Rewrites an engine JSON file in the current format version
+async function upgradeEngineJsonFile(inputPath, outputPath) {
+  const engineJson = await readEngineJson(inputPath);
+  console.log(`Writing format version ${engineJson.format_version} engine JSON to file ${outputPath}`);
+  await fs.writeFile(outputPath, JSON.stringify(engineJson, undefined, 2));
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  buildMetadata,
+  upgradeEngineJson,
+  validateEngineJson,
+  prepareEngineJson,
+  readEngineJson,
+  loadEngineJson,
+  upgradeEngineJsonFile
+};
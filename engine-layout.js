@@ -0,0 +1,211 @@
+// engine-layout.js
+//
+// A directory layout for exported engines that diffs well in git: one file
+// per section, keys and order-insensitive arrays sorted, and optionally no
+// server-generated ids or timestamps.
+//
+//   <dir>/engine.json            format_version, metadata, read_only
+//   <dir>/schema.json
+//   <dir>/synonyms.json
+//   <dir>/curations.json
+//   <dir>/search-settings.json
+//   <dir>/engine-settings.json
+//   <dir>/crawler.json
+//   <dir>/documents.ndjson       with --include-documents
+//
+// Section files that are missing are left out of the engine JSON, like a
+// missing section in a single-file export.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const SECTION_FILES = {
+  schema: 'schema.json',
+  synonyms: 'synonyms.json',
+  curations: 'curations.json',
+  searchSettings: 'search-settings.json',
+  engineSettings: 'engine-settings.json',
+  crawler: 'crawler.json'
+};
+const ENGINE_FILE = 'engine.json';
+const DOCUMENTS_FILE = 'documents.ndjson';
+
+// Server-generated crawler keys, dropped with stripIds
+const VOLATILE_CRAWLER_KEYS = ['id', 'document_count'];
+const isTimestampKey = (key) => /_at$/.test(key);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/* -----------------------
+   Canonical form
+   ----------------------- */
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+const compareBy = (keyFn) => (a, b) => {
+  const ka = keyFn(a);
+  const kb = keyFn(b);
+  return ka < kb ? -1 : ka > kb ? 1 : 0;
+};
+
+const sortedStrings = (values) => Array.isArray(values) ? [...values].sort() : values;
+
+function withoutKeys(object, shouldDrop) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !shouldDrop(key)));
+}
+
+// Drops the server-generated crawler keys at every depth, e.g. from a
+// domain's default_crawl_rule and from the rules inside its extraction rules
+function withoutVolatileKeys(value) {
+  if (Array.isArray(value)) return value.map(withoutVolatileKeys);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !VOLATILE_CRAWLER_KEYS.includes(key) && !isTimestampKey(key))
+    .map(([key, child]) => [key, withoutVolatileKeys(child)]));
+}
+
+// Synonym words and hidden documents have no meaningful order; promoted
+// documents do, they are ranked in that order.
+function canonicalSynonyms(synonyms, stripIds) {
+  return synonyms
+    .map(set => Object.assign(stripIds ? withoutKeys(set, key => key === 'id') : Object.assign({}, set),
+      { synonyms: sortedStrings(set.synonyms) }))
+    .sort(compareBy(set => (set.synonyms || []).join('\u0000')));
+}
+
+function canonicalCurations(curations, stripIds) {
+  return curations
+    .map(curation => {
+      const result = stripIds ? withoutKeys(curation, key => key === 'id') : Object.assign({}, curation);
+      result.queries = sortedStrings(curation.queries);
+      if (curation.hidden) result.hidden = sortedStrings(curation.hidden);
+      return result;
+    })
+    .sort(compareBy(curation => (curation.queries || []).join('\u0000')));
+}
+
+// Crawl rules keep their order within a domain, it decides which rule wins
+function canonicalCrawler(crawler, stripIds) {
+  const domains = crawler.domains || [];
+  const domainNames = new Map(domains.map(d => [d.id, d.name || d.url || d.domain || '']));
+  const domainName = (item) => domainNames.get(item.domain_id) || item.domain_id || '';
+
+  const stripItem = (item) => {
+    if (!stripIds) return Object.assign({}, item);
+    const result = withoutVolatileKeys(item);
+    // Children point at their domain by name, which the importer also accepts
+    if (item.domain_id !== undefined) result.domain_id = domainName(item);
+    return result;
+  };
+  const stripList = (items) => Array.isArray(items) ? items.map(stripItem) : items;
+
+  const result = Object.assign({}, crawler);
+  result.domains = domains
+    .map(domain => {
+      const stripped = stripItem(domain);
+      for (const key of ['entry_points', 'crawl_rules', 'sitemaps', 'extraction_rules']) {
+        if (stripped[key]) stripped[key] = stripList(stripped[key]);
+      }
+      return stripped;
+    })
+    .sort(compareBy(d => d.name || d.url || d.domain || ''));
+
+  if (crawler.entryPoints) {
+    result.entryPoints = stripList(crawler.entryPoints)
+      .sort(compareBy(ep => `${domainName(ep)} ${ep.value}`));
+  }
+  if (crawler.sitemaps) {
+    result.sitemaps = stripList(crawler.sitemaps)
+      .sort(compareBy(sm => `${domainName(sm)} ${sm.url || sm.value}`));
+  }
+  if (crawler.crawlRules) {
+    // Array.prototype.sort is stable, so rules stay in order within a domain
+    const rules = crawler.crawlRules.map(rule => ({ domain: domainName(rule), rule: stripItem(rule) }));
+    result.crawlRules = rules.sort(compareBy(entry => entry.domain)).map(entry => entry.rule);
+  }
+  return result;
+}
+
+// Returns a copy of engineJson with sorted keys and arrays. With stripIds,
+// server-generated ids and timestamps (and the export time) are removed.
+function canonicalEngineJson(engineJson, { stripIds = false } = {}) {
+  const result = Object.assign({}, engineJson);
+  if (stripIds && isPlainObject(result.metadata)) {
+    result.metadata = withoutKeys(result.metadata, isTimestampKey);
+  }
+  if (Array.isArray(result.synonyms)) result.synonyms = canonicalSynonyms(result.synonyms, stripIds);
+  if (Array.isArray(result.curations)) result.curations = canonicalCurations(result.curations, stripIds);
+  if (isPlainObject(result.crawler)) result.crawler = canonicalCrawler(result.crawler, stripIds);
+  // Sections keep their usual order, everything inside them is sorted
+  return Object.fromEntries(Object.entries(result).map(([key, value]) => [key, sortKeys(value)]));
+}
+
+/* -----------------------
+   Reading and writing
+   ----------------------- */
+
+function documentsPathIn(dir) {
+  return path.join(dir, DOCUMENTS_FILE);
+}
+
+// options.sections limits which section files are written or removed, so a
+// partial export leaves the other files alone
+async function writeEngineDir(dir, engineJson, options = {}) {
+  const sections = options.sections || Object.keys(SECTION_FILES);
+  const canonical = canonicalEngineJson(engineJson, options);
+  await fs.mkdir(dir, { recursive: true });
+
+  const writeJson = (file, value) => fs.writeFile(path.join(dir, file), JSON.stringify(value, undefined, 2) + '\n');
+  const { format_version, metadata, read_only } = canonical;
+  await writeJson(ENGINE_FILE, { format_version, metadata, read_only });
+
+  for (const [section, file] of Object.entries(SECTION_FILES)) {
+    if (!sections.includes(section)) continue;
+    if (canonical[section] !== undefined) {
+      await writeJson(file, canonical[section]);
+    } else {
+      // A section the engine no longer has must not linger from an earlier export
+      await fs.rm(path.join(dir, file), { force: true });
+    }
+  }
+  return canonical;
+}
+
+// Assembles the engine JSON from a directory; the caller upgrades and validates it
+async function readEngineDir(dir) {
+  const readJson = async (file, required) => {
+    const filePath = path.join(dir, file);
+    try {
+      return JSON.parse(await fs.readFile(filePath, { encoding: 'utf8' }));
+    } catch (err) {
+      if (err.code === 'ENOENT' && !required) return undefined;
+      throw new ValidationError(`Could not read ${filePath}: ${err.message || err}`, {
+        source: filePath,
+        errors: [`$: ${err.message || err}`]
+      });
+    }
+  };
+
+  const engineJson = await readJson(ENGINE_FILE, true);
+  if (!isPlainObject(engineJson)) return engineJson;
+  for (const [section, file] of Object.entries(SECTION_FILES)) {
+    const value = await readJson(file, false);
+    if (value !== undefined) engineJson[section] = value;
+  }
+  return engineJson;
+}
+
+module.exports = {
+  SECTION_FILES,
+  canonicalEngineJson,
+  documentsPathIn,
+  writeEngineDir,
+  readEngineDir
+};
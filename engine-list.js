@@ -0,0 +1,45 @@
+// engine-list.js
+//
+// Listing the engines of a cluster and choosing which of them a bulk command
+// works on. Shared by the bulk migrator and the commands built on it.
+
+async function listAllEngines(client) {
+  const all = [];
+  let page = 1;
+
+  while (true) {
+    const resp = await client.app.listEngines({ page: { current: page } });
+
+    if (!resp || !Array.isArray(resp.results)) break;
+
+    all.push(...resp.results);
+
+    const metaPage = resp.meta && resp.meta.page;
+    if (!metaPage || page >= metaPage.total_pages) break;
+    page += 1;
+  }
+
+  return all;
+}
+
+// Substring match on engine names; an empty filter matches every engine
+function filterEngines(engines, engineFilter) {
+  return engineFilter
+    ? engines.filter(e => String(e.name).includes(engineFilter))
+    : engines;
+}
+
+// Meta engines reference their source engines by name, so every default
+// engine is migrated before any meta engine.
+function orderEnginesForMigration(engines) {
+  return [
+    ...engines.filter(e => e.type !== 'meta'),
+    ...engines.filter(e => e.type === 'meta')
+  ];
+}
+
+module.exports = {
+  listAllEngines,
+  filterEngines,
+  orderEnginesForMigration
+};
@@ -0,0 +1,64 @@
+// engine-sections.js
+//
+// --only / --skip: which sections of an engine are exported or imported.
+// read_only (name, type, language, source engines) is always included.
+
+const { InvalidArgumentError, Option } = require('commander');
+
+const SECTIONS = ['schema', 'synonyms', 'curations', 'searchSettings', 'engineSettings', 'crawler'];
+const ALIASES = {
+  'search-settings': 'searchSettings',
+  search_settings: 'searchSettings',
+  'engine-settings': 'engineSettings',
+  engine_settings: 'engineSettings'
+};
+
+// Parses a comma-separated list of section names
+function parseSections(value) {
+  const sections = value.split(',').map(name => name.trim()).filter(Boolean).map(name => ALIASES[name] || name);
+  const unknown = sections.filter(name => !SECTIONS.includes(name));
+  if (unknown.length || !sections.length) {
+    throw new InvalidArgumentError(`Expected a comma-separated list of ${SECTIONS.join(', ')}.`);
+  }
+  return sections;
+}
+
+function hasSectionSelection(options) {
+  return Boolean((options.only && options.only.length) || (options.skip && options.skip.length));
+}
+
+// The sections to process, in SECTIONS order
+function selectedSections(options) {
+  return SECTIONS.filter(section =>
+    (!options.only || options.only.includes(section)) && !(options.skip || []).includes(section));
+}
+
+function isSectionSelected(options, section) {
+  return selectedSections(options).includes(section);
+}
+
+// A copy of engineJson without the sections that are not selected
+function pickSections(engineJson, options) {
+  if (!hasSectionSelection(options)) return engineJson;
+  const picked = Object.assign({}, engineJson);
+  for (const section of SECTIONS) {
+    if (!isSectionSelected(options, section)) delete picked[section];
+  }
+  return picked;
+}
+
+function addSectionOptions(command) {
+  return command
+    .addOption(new Option('--only <sections>', `Only these sections, comma-separated: ${SECTIONS.join(', ')}`).argParser(parseSections))
+    .addOption(new Option('--skip <sections>', 'Leave out these sections, comma-separated').argParser(parseSections).conflicts('only'));
+}
+
+module.exports = {
+  SECTIONS,
+  parseSections,
+  hasSectionSelection,
+  selectedSections,
+  isSectionSelected,
+  pickSections,
+  addSectionOptions
+};
@@ -0,0 +1,209 @@
+// engine-settings.js
+//
+// Engine-level settings outside the schema and relevance tuning, kept in the
+// engineSettings section of the engine JSON:
+//
+//   logSettings        whether API and analytics logs are written, and their
+//                      retention policy. App Search has one log setting for
+//                      the whole deployment, every engine export carries it.
+//                      An import only changes it with applyLogSettings
+//                      (--apply-log-settings), otherwise a difference is
+//                      reported: importing one engine would switch logging
+//                      for every engine of the target.
+//   adaptiveRelevance  the adaptive relevance settings, which decide whether
+//                      and how often curation suggestions are generated
+//
+// A part whose endpoint the cluster does not have (older versions) is
+// exported as null, and skipped on import with a message rather than failing
+// the import. Log retention is set in the Enterprise Search configuration,
+// not through the API, so a different retention on the target is reported
+// instead of imported.
+//
+// Query suggestions have no stored configuration to carry: the fields and
+// sizes are part of every query suggestion request.
+
+const { fetchWithRetry } = require('./request-policy');
+const { ApiError } = require('./errors');
+
+const APPLY_LOG_SETTINGS_HINT = 'applies to every engine of the deployment, not imported without --apply-log-settings';
+
+// Log types whose enabled flag the log settings API can change
+const LOG_TYPES = ['analytics', 'api'];
+
+const PARTS = [
+  {
+    name: 'logSettings',
+    label: 'Log settings',
+    path: () => '/api/as/v1/log_settings',
+    settable: (value) => Object.fromEntries(LOG_TYPES
+      .filter(type => value[type] && value[type].enabled !== undefined)
+      .map(type => [`${type}.enabled`, value[type].enabled])),
+    body: (value) => Object.fromEntries(LOG_TYPES
+      .filter(type => value[type] && value[type].enabled !== undefined)
+      .map(type => [type, { enabled: value[type].enabled }]))
+  },
+  {
+    name: 'adaptiveRelevance',
+    label: 'Adaptive relevance settings',
+    path: (engineName) => `/api/as/v0/engines/${encodeURIComponent(engineName)}/adaptive_relevance/settings`,
+    settable: (value) => Object.fromEntries(Object.entries(value.curation || {})
+      .map(([key, setting]) => [`curation.${key}`, setting])),
+    body: (value) => ({ curation: value.curation || {} })
+  }
+];
+
+/* -----------------------
+   Requests
+   ----------------------- */
+
+async function settingsRequest(options, engineName, method, apiPath, body) {
+  const resp = await fetchWithRetry(options.appSearchEndpoint.replace(/\/$/, '') + apiPath, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${options.appSearchPrivateKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await resp.text();
+  let json;
+  try {
+    json = text ? JSON.parse(text) : {};
+  } catch (err) {
+    json = { errors: [text] };
+  }
+  if (!resp.ok) {
+    throw new ApiError(`${method} ${apiPath} failed with status ${resp.status}: ${JSON.stringify(json.errors || json)}`, {
+      status: resp.status,
+      section: 'engine settings',
+      engineName,
+      errors: json.errors || null
+    });
+  }
+  return json;
+}
+
+// Resolves to null when the cluster does not have the endpoint
+function fetchPart(part, engineName, options) {
+  return settingsRequest(options, engineName, 'GET', part.path(engineName))
+    .catch(err => (err.status === 404 ? null : Promise.reject(err)));
+}
+
+/* -----------------------
+   Comparing
+   ----------------------- */
+
+// Whether an import changes the setting ("<part>.<path>") with these options
+function isImportedSetting(setting, options = {}) {
+  return options.applyLogSettings || !setting.startsWith('logSettings.');
+}
+
+// The settings an import can change, as { "<part>.<path>": value }
+function settableEngineSettings(engineSettings = {}) {
+  const values = {};
+  for (const part of PARTS) {
+    const value = engineSettings[part.name];
+    if (!value) continue;
+    for (const [key, setting] of Object.entries(part.settable(value))) {
+      values[`${part.name}.${key}`] = setting;
+    }
+  }
+  return values;
+}
+
+// Retention policies that differ between the input and the target, as messages
+function retentionDifferences(desired, live) {
+  const differences = [];
+  for (const type of Object.keys(desired || {})) {
+    const want = desired[type] && desired[type].retention_policy;
+    const have = live && live[type] && live[type].retention_policy;
+    if (want && have && want.min_age_days !== have.min_age_days) {
+      differences.push(`logSettings.${type}.retention_policy: ${have.min_age_days} days on the engine, ` +
+        `${want.min_age_days} in the input (set in the Enterprise Search configuration, not imported)`);
+    }
+  }
+  return differences;
+}
+
+/* -----------------------
+   Export
+   ----------------------- */
+
+// Resolves to { logSettings, adaptiveRelevance }, each null when the cluster
+// does not support it
+async function exportEngineSettings(engineName, options) {
+  const engineSettings = {};
+  for (const part of PARTS) {
+    engineSettings[part.name] = await fetchPart(part, engineName, options);
+    if (engineSettings[part.name] === null) {
+      console.log(`${part.label} are not supported by this cluster, exporting them as null.`);
+    }
+  }
+  return engineSettings;
+}
+
+/* -----------------------
+   Import
+   ----------------------- */
+
+// Applies the parts of engineJson.engineSettings that differ from the target.
+// Parts the source or the target cluster does not support are skipped, and
+// log settings are only reported unless options.applyLogSettings is set.
+async function importEngineSettings(engineName, engineJson, options) {
+  console.log('Importing engine settings');
+  for (const part of PARTS) {
+    const desired = engineJson.engineSettings[part.name];
+    if (desired === undefined) continue;
+    if (desired === null) {
+      console.log(`${part.label}: not in the input, the source cluster does not support them, skipping.`);
+      continue;
+    }
+
+    const live = await fetchPart(part, engineName, options);
+    if (live === null) {
+      console.warn(`${part.label} are not supported by this cluster, skipping.`);
+      continue;
+    }
+    if (part.name === 'logSettings') {
+      console.log('Log settings apply to every engine of the deployment.');
+      retentionDifferences(desired, live).forEach(difference => console.warn(`  ${difference}`));
+    }
+
+    const wanted = part.settable(desired);
+    const current = part.settable(live);
+    const changed = Object.keys(wanted).filter(key => JSON.stringify(wanted[key]) !== JSON.stringify(current[key]));
+    if (!changed.length) {
+      console.log(`${part.label} already match.`);
+      continue;
+    }
+    if (part.name === 'logSettings' && !options.applyLogSettings) {
+      changed.forEach(key => console.warn(`  ${part.name}.${key}: ${JSON.stringify(current[key])} on the cluster, ` +
+        `${JSON.stringify(wanted[key])} in the input (${APPLY_LOG_SETTINGS_HINT})`));
+      continue;
+    }
+    await settingsRequest(options, engineName, 'PUT', part.path(engineName), part.body(desired));
+    console.log(`${part.label} updated: ${changed.map(key => `${key} = ${JSON.stringify(wanted[key])}`).join(', ')}`);
+  }
+  console.log('Engine settings import complete.');
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+// For the commands that import engine JSON, and plan, which shows what they would do
+function addEngineSettingsOptions(command) {
+  return command.option('--apply-log-settings', 'Also import the log settings (analytics and API logging on/off); they apply to every engine of the deployment');
+}
+
+module.exports = {
+  exportEngineSettings,
+  importEngineSettings,
+  settableEngineSettings,
+  retentionDifferences,
+  isImportedSetting,
+  addEngineSettingsOptions,
+  APPLY_LOG_SETTINGS_HINT,
+  ENGINE_SETTINGS_PARTS: PARTS.map(part => part.name)
+};
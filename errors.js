@@ -0,0 +1,77 @@
+// errors.js
+//
+// Error classes thrown by the library API. The CLI prints them and exits;
+// programmatic callers can tell them apart with instanceof.
+
+class EntsporterError extends Error {
+  constructor(message, properties = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, properties);
+  }
+}
+
+// The target engine exists and none of --force, --update, --only or --skip was given
+// Properties: engineName
+class EngineExistsError extends EntsporterError {}
+
+// An App Search call failed
+// Properties: status (HTTP status, if any), section (e.g. 'schema', 'synonyms'),
+// engineName, errors (the App Search `errors` payload, if any)
+class ApiError extends EntsporterError {}
+
+// The target engine exists with another type (default or meta) than the input
+// and cannot be changed in place
+// Properties: engineName, engineType (of the engine), inputType
+class EngineTypeMismatchError extends EntsporterError {}
+
+// An engine JSON file or object is not valid
+// Properties: source (file path or 'object'), errors (list of "<json path>: <problem>")
+class ValidationError extends EntsporterError {}
+
+// Preflight checks found problems, nothing was created or deleted
+// Properties: reports (one { engine, ok, checks } per engine)
+class PreflightError extends EntsporterError {}
+
+function messageOf(err) {
+  return err && err.message ? err.message : String(err);
+}
+
+// Converts any failure in a section into an ApiError. Errors that are
+// already EntsporterErrors pass through unchanged.
+function toApiError(err, section, engineName) {
+  if (err instanceof EntsporterError) return err;
+  const status = err && (err.statusCode || (err.meta && err.meta.statusCode));
+  const body = err && err.meta && err.meta.body;
+  return new ApiError(`${section} failed for engine ${engineName}: ${messageOf(err)}`, {
+    status: status || null,
+    section,
+    engineName,
+    errors: (body && body.errors) || null,
+    cause: err
+  });
+}
+
+// Throws an ApiError when an SDK response carries an `errors` payload
+function checkErrors(response, section, engineName) {
+  if (response && response.errors) {
+    throw new ApiError(`${section} failed for engine ${engineName}: ${JSON.stringify(response.errors)}`, {
+      status: null,
+      section,
+      engineName,
+      errors: response.errors
+    });
+  }
+  return response;
+}
+
+module.exports = {
+  EntsporterError,
+  EngineExistsError,
+  EngineTypeMismatchError,
+  ApiError,
+  ValidationError,
+  PreflightError,
+  toApiError,
+  checkErrors
+};
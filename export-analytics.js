@@ -0,0 +1,238 @@
+// export-analytics.js
+//
+// A record of an engine's search analytics for a date range, taken before a
+// cutover: analytics stay behind on the old cluster, nothing migrates them.
+// Written next to the engine export, as JSON for tools and as CSV for people:
+//
+//   <dir>/<engine>.analytics.json           everything below, plus the range
+//   <dir>/<engine>.top-queries.csv          query, count, clicks, click-through rate, tags
+//   <dir>/<engine>.no-results-queries.csv   query, count, tags
+//   <dir>/<engine>.top-clicks.csv           document id, clicks
+//   <dir>/<engine>.query-counts.csv         queries and clicks per day (or hour)
+//
+// The analytics JSON can be given to --smoke-queries, which then runs the
+// top queries, and to export-synonyms-curations --add-queries, which lists
+// the top and no-results queries that have no curation yet. The bulk variant
+// also writes analytics-smoke-queries.json with the top queries per engine.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { InvalidArgumentError, Option } = require('commander');
+
+const { listAllEngines, filterEngines } = require('./engine-list');
+const { createClient } = require('./request-policy');
+const { formatCsv } = require('./csv-format');
+const { parsePositiveInt } = require('./option-parsers');
+const { formatTable } = require('./console-table');
+const { EntsporterError, toApiError } = require('./errors');
+
+const DEFAULT_DAYS = 30;
+const DEFAULT_TOP = 100;
+const INTERVALS = ['day', 'hour'];
+const SMOKE_QUERIES_FILE = 'analytics-smoke-queries.json';
+
+/* -----------------------
+   Date range
+   ----------------------- */
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// A date (2024-05-01, the start of that day in UTC) or a date/time
+function parseDate(value) {
+  const time = new Date(isDateOnly(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(time.getTime())) {
+    throw new InvalidArgumentError('Expected a date such as 2024-05-01 or a date/time such as 2024-05-01T12:00:00Z.');
+  }
+  return time;
+}
+
+// As parseDate, but a date is the end of that day (23:59:59.999 UTC), so
+// --to includes it
+function parseEndDate(value) {
+  const time = parseDate(value);
+  return isDateOnly(value) ? new Date(time.getTime() + 24 * 60 * 60 * 1000 - 1) : time;
+}
+
+// Resolves options.from/options.to (Dates or strings) to ISO strings; the
+// default range is the last DEFAULT_DAYS days
+function analyticsRange(options) {
+  const toDate = (value, parse) => (value instanceof Date ? value : parse(value));
+  const to = options.to ? toDate(options.to, parseEndDate) : new Date();
+  const from = options.from ? toDate(options.from, parseDate) : new Date(to.getTime() - DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  if (from >= to) {
+    throw new EntsporterError(`The analytics range is empty: --from ${from.toISOString()} is not before --to ${to.toISOString()}`);
+  }
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+/* -----------------------
+   Fetch
+   ----------------------- */
+
+async function analyticsRequest(section, engineName, fn) {
+  try {
+    return (await fn()).results || [];
+  } catch (err) {
+    throw toApiError(err, `analytics ${section}`, engineName);
+  }
+}
+
+const clickThroughRate = (clicks, count) => (count ? Math.round((clicks / count) * 10000) / 10000 : 0);
+
+// Resolves to the analytics of one engine for { from, to }, at most `top`
+// queries and documents per list and counts per interval
+async function fetchAnalytics(client, engineName, { from, to, top = DEFAULT_TOP, interval = 'day' }) {
+  const date = { from, to };
+  const topQueries = await analyticsRequest('top queries', engineName, () =>
+    client.app.getTopQueriesAnalytics({ engine_name: engineName, body: { filters: { date }, page: { size: top } } }));
+  const noResults = await analyticsRequest('no-results queries', engineName, () =>
+    client.app.getTopQueriesAnalytics({ engine_name: engineName, body: { filters: { all: [{ results: false }, { date }] }, page: { size: top } } }));
+  const topClicks = await analyticsRequest('top clicks', engineName, () =>
+    client.app.getTopClicksAnalytics({ engine_name: engineName, body: { filters: { date }, page: { size: top } } }));
+  const counts = await analyticsRequest('counts', engineName, () =>
+    client.app.getCountAnalytics({ engine_name: engineName, body: { filters: { date }, interval } }));
+
+  const queries = counts.reduce((sum, count) => sum + (count.queries || 0), 0);
+  const clicks = counts.reduce((sum, count) => sum + (count.clicks || 0), 0);
+  return {
+    engine: engineName,
+    exported_at: new Date().toISOString(),
+    from,
+    to,
+    interval,
+    totals: { queries, clicks, click_through_rate: clickThroughRate(clicks, queries) },
+    top_queries: topQueries.map(result => ({
+      query: result.term,
+      count: result.queries || 0,
+      clicks: result.clicks || 0,
+      click_through_rate: clickThroughRate(result.clicks || 0, result.queries || 0),
+      tags: result.tags || []
+    })),
+    no_results_queries: noResults.map(result => ({ query: result.term, count: result.queries || 0, tags: result.tags || [] })),
+    top_clicks: topClicks.map(result => ({ document_id: result.document_id, clicks: result.clicks || 0 })),
+    counts: counts.map(count => ({ from: count.from, to: count.to, queries: count.queries || 0, clicks: count.clicks || 0 }))
+  };
+}
+
+/* -----------------------
+   Files
+   ----------------------- */
+
+// Writes the JSON and CSV files of one engine, resolves to their names
+async function writeAnalytics(outputDir, analytics) {
+  const base = analytics.engine;
+  const files = {
+    [`${base}.analytics.json`]: JSON.stringify(analytics, undefined, 2),
+    [`${base}.top-queries.csv`]: formatCsv([['query', 'count', 'clicks', 'click_through_rate', 'tags'],
+      ...analytics.top_queries.map(q => [q.query, q.count, q.clicks, q.click_through_rate, q.tags.join(' | ')])]),
+    [`${base}.no-results-queries.csv`]: formatCsv([['query', 'count', 'tags'],
+      ...analytics.no_results_queries.map(q => [q.query, q.count, q.tags.join(' | ')])]),
+    [`${base}.top-clicks.csv`]: formatCsv([['document_id', 'clicks'],
+      ...analytics.top_clicks.map(c => [c.document_id, c.clicks])]),
+    [`${base}.query-counts.csv`]: formatCsv([['from', 'to', 'queries', 'clicks'],
+      ...analytics.counts.map(c => [c.from, c.to, c.queries, c.clicks])])
+  };
+  await fs.mkdir(outputDir, { recursive: true });
+  for (const [file, text] of Object.entries(files)) {
+    await fs.writeFile(path.join(outputDir, file), text);
+  }
+  return Object.keys(files);
+}
+
+// The queries of an analytics JSON worth running or curating: the top
+// queries, without the empty query (browsing without a search term)
+function topQueriesOf(analytics) {
+  return (analytics.top_queries || []).map(q => q.query).filter(query => typeof query === 'string' && query.trim());
+}
+
+/* -----------------------
+   Export
+   ----------------------- */
+
+// Options: appSearchEndpoint/appSearchPrivateKey, outputDir (default: the
+// current directory), from/to (default: the last 30 days), top and interval
+// ('day' or 'hour'). Resolves to the analytics.
+async function exportAnalytics(engineName, options) {
+  const range = analyticsRange(options);
+  const outputDir = options.outputDir || '.';
+  console.log(`Exporting analytics of engine ${engineName} from ${range.from} to ${range.to}, host: ${options.appSearchEndpoint}`);
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+
+  const analytics = await fetchAnalytics(client, engineName, Object.assign({ top: options.top, interval: options.interval }, range));
+  const files = await writeAnalytics(outputDir, analytics);
+  console.log(`${analytics.totals.queries} queries, ${analytics.totals.clicks} clicks; ` +
+    `${analytics.top_queries.length} top queries, ${analytics.no_results_queries.length} without results.`);
+  console.log(`Wrote ${files.join(', ')} to ${outputDir}`);
+  return analytics;
+}
+
+// Options: fromEndpoint/fromKey, outputDir (default: ./engines-export, where
+// bulk-export writes), from/to, top and interval. Writes the files of every
+// matching engine and analytics-smoke-queries.json. Resolves to one
+// { name, status, files, totals, error } per engine.
+async function bulkExportAnalytics(engineFilter, options) {
+  const { fromEndpoint, fromKey } = options;
+  const outputDir = options.outputDir || './engines-export';
+  const range = analyticsRange(options);
+  console.log(`Source endpoint: ${fromEndpoint}`);
+  console.log(`Output dir: ${outputDir}`);
+  console.log(`Analytics from ${range.from} to ${range.to}`);
+  if (engineFilter) {
+    console.log(`Engine name filter: "${engineFilter}" (substring match)`);
+  }
+
+  console.log('Listing engines from source cluster...');
+  const client = createClient(fromEndpoint, fromKey);
+  const engines = filterEngines(await listAllEngines(client), engineFilter);
+  console.log(`${engines.length} engine(s) match filter.`);
+
+  const results = [];
+  const smokeQueries = { engines: {} };
+  for (const engine of engines) {
+    console.log(`Exporting analytics of engine ${engine.name}`);
+    try {
+      const analytics = await fetchAnalytics(client, engine.name, Object.assign({ top: options.top, interval: options.interval }, range));
+      const files = await writeAnalytics(outputDir, analytics);
+      smokeQueries.engines[engine.name] = topQueriesOf(analytics);
+      results.push({ name: engine.name, status: 'exported', files, totals: analytics.totals });
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error(`Failed to export analytics of engine "${engine.name}":`, message);
+      results.push({ name: engine.name, status: 'failed', files: [], error: message });
+    }
+  }
+
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(path.join(outputDir, SMOKE_QUERIES_FILE), JSON.stringify(smokeQueries, undefined, 2));
+  console.log('');
+  formatTable(['Engine', 'Status', 'Queries', 'Clicks', 'CTR'], results.map(result => [
+    result.name,
+    result.status,
+    result.totals ? result.totals.queries : '-',
+    result.totals ? result.totals.clicks : '-',
+    result.totals ? result.totals.click_through_rate : '-'
+  ])).forEach(line => console.log(line));
+  console.log(`Top queries per engine, for --smoke-queries: ${path.join(outputDir, SMOKE_QUERIES_FILE)}`);
+  return results;
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+function addAnalyticsOptions(command) {
+  return command
+    .option('--from <date>', `Start of the range, e.g. 2024-05-01 (default: ${DEFAULT_DAYS} days before --to)`, parseDate)
+    .option('--to <date>', 'End of the range, a date alone includes that day (default: now)', parseEndDate)
+    .option('--top <n>', 'Number of top queries, no-results queries and clicked documents', parsePositiveInt, DEFAULT_TOP)
+    .addOption(new Option('--interval <interval>', 'Interval of the query counts').choices(INTERVALS).default('day'));
+}
+
+module.exports = {
+  exportAnalytics,
+  bulkExportAnalytics,
+  fetchAnalytics,
+  topQueriesOf,
+  analyticsRange,
+  addAnalyticsOptions
+};
@@ -1,36 +1,92 @@
-const { Client } = require('@elastic/enterprise-search');
+const { createClient, fetchWithRetry } = require('./request-policy');
 const fs = require('fs/promises');
+const { documentsPathFor, exportDocuments } = require('./engine-documents');
+const { FORMAT_VERSION, buildMetadata } = require('./engine-format');
+const { EntsporterError, checkErrors } = require('./errors');
+const { trackSection } = require('./progress');
+const { canonicalEngineJson, documentsPathIn, writeEngineDir } = require('./engine-layout');
+const { isSectionSelected, selectedSections } = require('./engine-sections');
+const { exportCrawlerSettings } = require('./engine-crawler');
+const { exportEngineSettings } = require('./engine-settings');
 
 // CHANGED: Added SDK pagination helper and REST crawler export (uses global fetch)
 
+// Resolves to the engine JSON. It is also written to options.outputJson or,
+// one file per section, to options.outputDir when given; options.stripIds
+// drops server-generated ids and timestamps from the written files. Documents
+// need one of those or options.documentsNdjson.
 async function exportAppSearchEngine(engineName, options) {
   console.log(`Exporting App Search engine ${engineName}, host: ${options.appSearchEndpoint}`);
-  const client = new Client({
-    url: options.appSearchEndpoint,
-    auth: { token: options.appSearchPrivateKey }
-  });
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+  const documentsPath = options.documentsNdjson ||
+    (options.outputDir && documentsPathIn(options.outputDir)) ||
+    (options.outputJson && documentsPathFor(options.outputJson));
+  if (options.includeDocuments && !documentsPath) {
+    throw new EntsporterError('Exporting documents needs outputJson, outputDir or documentsNdjson');
+  }
+
+  const engineJson = await buildEngineJson(client, engineName, options);
+
+  if (options.outputJson) {
+    const fileJson = options.stripIds ? canonicalEngineJson(engineJson, { stripIds: true }) : engineJson;
+    console.log(`Writing engine JSON to file ${options.outputJson}`);
+    await fs.writeFile(options.outputJson, JSON.stringify(fileJson, undefined, 2));
+    console.dir(fileJson);
+  }
+  if (options.outputDir) {
+    console.log(`Writing engine sections to directory ${options.outputDir}`);
+    await writeEngineDir(options.outputDir, engineJson, { stripIds: options.stripIds, sections: selectedSections(options) });
+  }
 
-  const engine = await client.app.getEngine({ engine_name: engineName });
-  if (engine.errors) {
-    console.error(engine.errors);
-    process.exit(1);
+  if (options.includeDocuments && engineJson.read_only.type === 'meta') {
+    console.log('Meta engines hold no documents of their own, skipping document export.');
+  } else if (options.includeDocuments) {
+    await trackSection(options.events, 'export', engineName, 'documents', () =>
+      exportDocuments(client, engineName, documentsPath));
   }
 
+  return engineJson;
+}
+
+// Fetches the sections of an engine selected with options.only/options.skip
+// (all by default) into the exported JSON shape
+async function buildEngineJson(client, engineName, options) {
+  const section = (name, fn) => trackSection(options.events, 'export', engineName, name, fn);
+  const selected = (name) => isSectionSelected(options, name);
+
+  const engine = await section('engine', async () =>
+    checkErrors(await client.app.getEngine({ engine_name: engineName }), 'engine', engineName));
+
   const engineJson = {
+    format_version: FORMAT_VERSION,
+    metadata: buildMetadata(options),
     read_only: { name: engine.name, type: engine.type, language: engine.language }
   };
+  if (engine.type === 'meta') {
+    engineJson.read_only.source_engines = engine.source_engines || [];
+  }
 
   // CHANGED: run exports in sequence (preserve ordering)
-  engineJson.schema = await exportSchema(client, engineName);
-  engineJson.synonyms = await exportSynonyms(client, engineName);
-  engineJson.curations = await exportCurations(client, engineName);
-  engineJson.searchSettings = await exportSearchSettings(client, engineName); // includes result_fields
-  engineJson.crawler = await exportCrawlerConfigViaRest(engineName, options); // REST fallback (may be {})
-
-  console.log(`Writing engine JSON to file ${options.outputJson}`);
-  await fs.writeFile(options.outputJson, JSON.stringify(engineJson, undefined, 2));
+  if (selected('schema')) {
+    engineJson.schema = await section('schema', () => exportSchema(client, engineName));
+  }
+  if (selected('synonyms')) {
+    engineJson.synonyms = await section('synonyms', () => exportSynonyms(client, engineName));
+  }
+  if (selected('curations')) {
+    engineJson.curations = await section('curations', () => exportCurations(client, engineName));
+  }
+  if (selected('searchSettings')) {
+    engineJson.searchSettings = await section('search settings', () => exportSearchSettings(client, engineName)); // includes result_fields
+  }
+  if (selected('engineSettings')) {
+    engineJson.engineSettings = await section('engine settings', () => exportEngineSettings(engineName, options));
+  }
+  if (engine.type !== 'meta' && selected('crawler')) {
+    engineJson.crawler = await section('crawler', () => exportCrawlerConfigViaRest(engineName, options)); // REST fallback (may be {})
+  }
 
-  console.dir(engineJson);
+  return engineJson;
 }
 
 /* -----------------------
@@ -39,24 +95,16 @@ async function exportAppSearchEngine(engineName, options) {
 
 async function exportSchema(client, engineName) {
   const schema = await client.app.getSchema({ engine_name: engineName });
-  if (schema.errors) {
-    console.error(schema.errors);
-    process.exit(1);
-  }
-  return schema;
+  return checkErrors(schema, 'schema', engineName);
 }
 
 async function exportSearchSettings(client, engineName) {
   const searchSettings = await client.app.getSearchSettings({ engine_name: engineName });
-  if (searchSettings.errors) {
-    console.error(searchSettings.errors);
-    process.exit(1);
-  }
-  return searchSettings;
+  return checkErrors(searchSettings, 'search settings', engineName);
 }
 
 // CHANGED: generic SDK pagination helper for client.app.* list endpoints
-async function fetchAllPagesSDK(fetchFn, initialParams = {}) {
+async function fetchAllPagesSDK(fetchFn, initialParams = {}, section = 'list', engineName) {
   const allResults = [];
   let page = 1;
 
@@ -65,10 +113,7 @@ async function fetchAllPagesSDK(fetchFn, initialParams = {}) {
     const resp = await fetchFn(params);
 
     if (!resp) break;
-    if (resp.errors) {
-      console.error(resp.errors);
-      process.exit(1);
-    }
+    checkErrors(resp, section, engineName);
 
     const pageResults = resp.results || resp.synonym_sets || resp.curations || [];
     allResults.push(...pageResults);
@@ -83,12 +128,12 @@ async function fetchAllPagesSDK(fetchFn, initialParams = {}) {
 
 async function exportSynonyms(client, engineName) {
   const fetchFn = (params) => client.app.listSynonymSets(Object.assign({ engine_name: engineName }, params));
-  return await fetchAllPagesSDK(fetchFn);
+  return await fetchAllPagesSDK(fetchFn, {}, 'synonyms', engineName);
 }
 
 async function exportCurations(client, engineName) {
   const fetchFn = (params) => client.app.listCurations(Object.assign({ engine_name: engineName }, params));
-  return await fetchAllPagesSDK(fetchFn);
+  return await fetchAllPagesSDK(fetchFn, {}, 'curations', engineName);
 }
 
 /* -----------------------
@@ -107,7 +152,7 @@ async function restFetchAllPages(urlBase, apiKey, pageSize = 100) {
     url.searchParams.set('page[current]', String(page));
     url.searchParams.set('page[size]', String(pageSize));
 
-    const resp = await fetch(url.toString(), {
+    const resp = await fetchWithRetry(url.toString(), {
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
@@ -188,7 +233,8 @@ async function exportCrawlerConfigViaRest(engineName, options) {
     console.log(crawlRules);
     console.log("---------------");
     console.log(sitemaps);
-    return { domains: normalizedDomains, entryPoints, crawlRules, sitemaps };
+    return Object.assign({ domains: normalizedDomains, entryPoints, crawlRules, sitemaps },
+      await exportCrawlerSettings(engineName, options, normalizedDomains));
   }
 
   console.log()
@@ -204,7 +250,15 @@ async function exportCrawlerConfigViaRest(engineName, options) {
     domains = await safeRestFetchAll(domainsUrl);
   }
 
-  return { domains, entryPoints, crawlRules, sitemaps };
+  // Extraction rules, schedule and user agent only matter to an engine with domains
+  const settings = domains.length ? await exportCrawlerSettings(engineName, options, domains) : {};
+  return Object.assign({ domains, entryPoints, crawlRules, sitemaps }, settings);
 }
 
 module.exports = exportAppSearchEngine;
+module.exports.buildEngineJson = buildEngineJson;
+module.exports.exportSchema = exportSchema;
+module.exports.exportSynonyms = exportSynonyms;
+module.exports.exportCurations = exportCurations;
+module.exports.exportSearchSettings = exportSearchSettings;
+module.exports.exportCrawlerConfigViaRest = exportCrawlerConfigViaRest;
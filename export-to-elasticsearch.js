@@ -0,0 +1,368 @@
+// export-to-elasticsearch.js
+//
+// Converts an engine JSON into plain Elasticsearch artifacts, for moving off
+// App Search:
+//
+//   synonyms-set.json      PUT /_synonyms/<index>-synonyms
+//   index.json             PUT /<index>                    mappings and analyzers
+//   aliases.json           POST /_aliases                  meta engines, instead of an index
+//   query-rules.json       PUT /_query_rules/<index>-curations
+//   search-template.json   PUT /_scripts/<index>-search
+//   requests.json          the requests above in the order to send them, and
+//                          what could not be converted exactly
+//
+// Text fields are analyzed with the engine language and get an `enum` keyword
+// subfield for value boosts. The synonyms set is used by the search analyzer,
+// so it can be updated without reindexing. Curations become pinned and
+// exclude query rules. The search template runs a multi_match over the search
+// fields, wrapped in function_score queries for the boosts and in a rule query
+// for the curations.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { loadEngineJson } = require('./engine-format');
+const { fetchWithRetry } = require('./request-policy');
+const { ApiError } = require('./errors');
+
+const FIELD_MAPPINGS = {
+  text: { type: 'text', analyzer: 'engine_text', fields: { enum: { type: 'keyword', ignore_above: 2048 } } },
+  number: { type: 'double' },
+  date: { type: 'date' },
+  geolocation: { type: 'geo_point' }
+};
+// Stemmers of the built-in stemmer token filter, per App Search language
+const LANGUAGE_STEMMERS = {
+  da: 'danish', de: 'german', en: 'english', es: 'spanish', fr: 'french', it: 'italian',
+  nl: 'dutch', pt: 'portuguese', 'pt-br': 'brazilian', ru: 'russian'
+};
+// App Search has no proximity scale, these are starting points to review
+const DEFAULT_SCALES = { number: 1, date: '1d', geolocation: '1km' };
+const DECAY_FUNCTIONS = { gaussian: 'gauss', exponential: 'exp', linear: 'linear' };
+const FUNCTIONAL_MODIFIERS = { linear: 'none', logarithmic: 'log1p' };
+// Query rules in one ruleset, unless xpack.applications.rules.max_rules_per_ruleset is raised
+const MAX_RULES = 100;
+
+// Placeholders for the mustache tags that cannot be written as JSON values
+const QUERY_PARAM = '__ENTSPORTER_QUERY__';
+const FROM_PARAM = '__ENTSPORTER_FROM__';
+const SIZE_PARAM = '__ENTSPORTER_SIZE__';
+
+/* -----------------------
+   Index
+   ----------------------- */
+
+function buildAnalysis(language, synonymsSetId, notes) {
+  const stemmer = LANGUAGE_STEMMERS[language];
+  if (language && !stemmer) {
+    notes.push(`language ${language}: the analyzers only use the standard tokenizer, consider the matching analysis plugin (kuromoji, nori, thai or smartcn)`);
+  }
+  const filter = {};
+  const textFilters = ['lowercase'];
+  if (stemmer) {
+    filter.engine_stemmer = { type: 'stemmer', language: stemmer };
+    textFilters.push('engine_stemmer');
+  }
+  const analyzer = { engine_text: { type: 'custom', tokenizer: 'standard', filter: textFilters } };
+  if (synonymsSetId) {
+    filter.engine_synonyms = { type: 'synonym_graph', synonyms_set: synonymsSetId, updateable: true };
+    analyzer.engine_search = { type: 'custom', tokenizer: 'standard', filter: ['lowercase', 'engine_synonyms', ...textFilters.slice(1)] };
+  }
+  return { filter, analyzer };
+}
+
+function buildIndex(engineJson, synonymsSetId, notes) {
+  const properties = { id: { type: 'keyword' } };
+  for (const [field, type] of Object.entries(engineJson.schema || {})) {
+    if (field === 'id') continue;
+    const mapping = FIELD_MAPPINGS[type];
+    if (!mapping) {
+      notes.push(`schema.${field}: unknown type ${type}, not mapped`);
+      continue;
+    }
+    properties[field] = JSON.parse(JSON.stringify(mapping));
+    if (type === 'text' && synonymsSetId) properties[field].search_analyzer = 'engine_search';
+  }
+  return {
+    settings: { analysis: buildAnalysis(engineJson.read_only?.language, synonymsSetId, notes) },
+    mappings: { properties }
+  };
+}
+
+/* -----------------------
+   Synonyms and curations
+   ----------------------- */
+
+function buildSynonymsSet(synonyms) {
+  return {
+    synonyms_set: synonyms.map((set, i) => ({
+      id: set.id || `synonym-${i + 1}`,
+      synonyms: (set.synonyms || []).join(', ')
+    }))
+  };
+}
+
+function buildQueryRules(curations, notes) {
+  const rules = [];
+  curations.forEach((curation, i) => {
+    const criteria = [{ type: 'exact', metadata: 'user_query', values: curation.queries || [] }];
+    const ruleId = curation.id || `curation-${i + 1}`;
+    if ((curation.promoted || []).length) {
+      rules.push({ rule_id: `${ruleId}-pinned`, type: 'pinned', criteria, actions: { ids: curation.promoted } });
+    }
+    if ((curation.hidden || []).length) {
+      rules.push({ rule_id: `${ruleId}-exclude`, type: 'exclude', criteria, actions: { ids: curation.hidden } });
+    }
+  });
+  if (rules.length) {
+    notes.push('curations: query rules match queries exactly, App Search also matched them regardless of case');
+  }
+  if (rules.some(rule => rule.type === 'exclude')) {
+    notes.push('curations: hidden documents become exclude rules, which need Elasticsearch 8.16 or later');
+  }
+  if (rules.length > MAX_RULES) {
+    notes.push(`curations: ${rules.length} query rules, more than the default limit of ${MAX_RULES} per ruleset`);
+  }
+  return { rules };
+}
+
+/* -----------------------
+   Search template
+   ----------------------- */
+
+// Splits the boosts into the function_score functions that multiply the
+// relevance score and those that are added to it
+function buildBoostFunctions(boosts, schema, notes) {
+  const multiply = [];
+  const add = [];
+  for (const [field, fieldBoosts] of Object.entries(boosts || {})) {
+    const type = schema[field];
+    if (!type) {
+      notes.push(`searchSettings.boosts.${field}: not in the schema, not converted`);
+      continue;
+    }
+    for (const boost of fieldBoosts) {
+      const weight = boost.factor === undefined ? 1 : boost.factor;
+      let fn;
+      let operation;
+      if (boost.type === 'value') {
+        fn = { filter: { terms: { [type === 'text' ? `${field}.enum` : field]: boost.value || [] } }, weight };
+        operation = boost.operation || 'add';
+      } else if (boost.type === 'functional') {
+        fn = boost.function === 'exponential'
+          ? { script_score: { script: { source: 'doc[params.field].size() == 0 ? 0 : Math.exp(doc[params.field].value)', params: { field } } }, weight }
+          : { field_value_factor: { field, modifier: FUNCTIONAL_MODIFIERS[boost.function] || 'none', missing: 0 }, weight };
+        operation = boost.operation || 'multiply';
+      } else if (boost.type === 'proximity') {
+        const decay = DECAY_FUNCTIONS[boost.function] || 'gauss';
+        fn = { [decay]: { [field]: { origin: boost.center, scale: DEFAULT_SCALES[type] } }, weight };
+        operation = 'add';
+        notes.push(`searchSettings.boosts.${field}: proximity boosts have no scale in App Search, the template uses ${DEFAULT_SCALES[type]}`);
+      } else {
+        notes.push(`searchSettings.boosts.${field}: unknown boost type ${boost.type}, not converted`);
+        continue;
+      }
+      (operation === 'multiply' ? multiply : add).push(fn);
+    }
+  }
+  return { multiply, add };
+}
+
+function buildSearchQuery(searchSettings, schema, rulesetId, notes) {
+  // Without search_fields App Search searches every text field
+  const searchFields = searchSettings.search_fields ||
+    Object.fromEntries(Object.entries(schema).filter(([, type]) => type === 'text').map(([field]) => [field, {}]));
+  const fields = Object.entries(searchFields)
+    .map(([field, { weight }]) => (weight === undefined || weight === 1 ? field : `${field}^${weight}`));
+
+  let query = { multi_match: { query: QUERY_PARAM, fields } };
+  const { multiply, add } = buildBoostFunctions(searchSettings.boosts, schema, notes);
+  if (multiply.length) {
+    query = { function_score: { query, functions: multiply, score_mode: 'multiply', boost_mode: 'multiply' } };
+  }
+  if (add.length) {
+    query = { function_score: { query, functions: add, score_mode: 'sum', boost_mode: 'sum' } };
+  }
+  if (rulesetId) {
+    query = { rule: { match_criteria: { user_query: QUERY_PARAM }, ruleset_ids: [rulesetId], organic: query } };
+  }
+  if (searchSettings.precision_enabled) {
+    notes.push(`searchSettings.precision: ${searchSettings.precision} has no direct equivalent, tune multi_match minimum_should_match instead`);
+  }
+  return query;
+}
+
+function buildSearchTemplate(engineJson, rulesetId, notes) {
+  const schema = Object.assign({ id: 'text' }, engineJson.schema);
+  const searchSettings = engineJson.searchSettings || {};
+  const body = { query: buildSearchQuery(searchSettings, schema, rulesetId, notes), from: FROM_PARAM, size: SIZE_PARAM };
+
+  const resultFields = Object.entries(searchSettings.result_fields || {});
+  if (resultFields.length) {
+    body._source = resultFields.filter(([, settings]) => settings.raw).map(([field]) => field);
+    const snippets = resultFields.filter(([, settings]) => settings.snippet);
+    if (snippets.length) {
+      body.highlight = {
+        fields: Object.fromEntries(snippets.map(([field, { snippet }]) => [field, {
+          fragment_size: snippet.size || 100,
+          number_of_fragments: 1,
+          no_match_size: snippet.fallback ? (snippet.size || 100) : 0
+        }]))
+      };
+    }
+    if (resultFields.some(([, settings]) => settings.raw && settings.raw.size)) {
+      notes.push('searchSettings.result_fields: raw field sizes are not converted, _source returns whole values');
+    }
+  }
+
+  // The query is JSON-encoded by mustache, so quotes in it cannot break the template
+  const source = JSON.stringify(body)
+    .split(`"${QUERY_PARAM}"`).join('{{#toJson}}query{{/toJson}}')
+    .split(`"${FROM_PARAM}"`).join('{{from}}{{^from}}0{{/from}}')
+    .split(`"${SIZE_PARAM}"`).join('{{size}}{{^size}}10{{/size}}');
+  return { script: { lang: 'mustache', source } };
+}
+
+/* -----------------------
+   Conversion
+   ----------------------- */
+
+// Returns { index, requests: [{ name, method, path, file, body }], notes },
+// with the requests in the order they must be sent
+function buildElasticsearchRequests(engineJson, options = {}) {
+  const index = options.indexName || engineJson.read_only.name;
+  const isMeta = engineJson.read_only.type === 'meta';
+  const notes = [];
+  const requests = [];
+  const synonyms = Array.isArray(engineJson.synonyms) ? engineJson.synonyms : [];
+  const curations = Array.isArray(engineJson.curations) ? engineJson.curations : [];
+
+  const synonymsSetId = synonyms.length && !isMeta ? `${index}-synonyms` : null;
+  if (synonymsSetId) {
+    requests.push({ name: 'synonyms', method: 'PUT', path: `/_synonyms/${synonymsSetId}`, file: 'synonyms-set.json', body: buildSynonymsSet(synonyms) });
+  }
+
+  if (isMeta) {
+    const sources = engineJson.read_only.source_engines || [];
+    requests.push({
+      name: 'aliases',
+      method: 'POST',
+      path: '/_aliases',
+      file: 'aliases.json',
+      body: { actions: [{ add: { indices: sources, alias: index } }] }
+    });
+    notes.push(`meta engine: ${index} becomes an alias of ${sources.join(', ')}, convert those engines first and run their search templates against the alias`);
+    if (synonyms.length) notes.push('meta engine: synonyms belong to the analyzers of the source indices, not converted');
+  } else {
+    requests.push({ name: 'index', method: 'PUT', path: `/${encodeURIComponent(index)}`, file: 'index.json', body: buildIndex(engineJson, synonymsSetId, notes) });
+  }
+
+  const queryRules = buildQueryRules(curations, notes);
+  const rulesetId = queryRules.rules.length ? `${index}-curations` : null;
+  if (rulesetId) {
+    requests.push({ name: 'query rules', method: 'PUT', path: `/_query_rules/${rulesetId}`, file: 'query-rules.json', body: queryRules });
+  }
+
+  if (!isMeta) {
+    requests.push({ name: 'search template', method: 'PUT', path: `/_scripts/${index}-search`, file: 'search-template.json', body: buildSearchTemplate(engineJson, rulesetId, notes) });
+  }
+  if (engineJson.crawler && (engineJson.crawler.domains || []).length) {
+    notes.push('crawler: not converted, configure the Elastic Open Crawler separately');
+  }
+  return { index, requests, notes };
+}
+
+/* -----------------------
+   Apply
+   ----------------------- */
+
+function authorizationFor(options) {
+  if (options.esApiKey) return `ApiKey ${options.esApiKey}`;
+  if (options.esUsername) return `Basic ${Buffer.from(`${options.esUsername}:${options.esPassword || ''}`).toString('base64')}`;
+  return null;
+}
+
+async function sendRequest(options, request, { ignoreStatuses = [] } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  const authorization = authorizationFor(options);
+  if (authorization) headers.Authorization = authorization;
+  const url = options.esEndpoint.replace(/\/$/, '') + request.path;
+
+  const resp = await fetchWithRetry(url, {
+    method: request.method,
+    headers,
+    body: request.body === undefined ? undefined : JSON.stringify(request.body)
+  });
+  if (resp.ok || ignoreStatuses.includes(resp.status)) return resp;
+
+  const text = await resp.text();
+  let error = text;
+  try {
+    error = JSON.parse(text).error || text;
+  } catch (err) {
+    // not JSON, keep the text
+  }
+  const reason = (error && error.reason) || (typeof error === 'string' ? error : JSON.stringify(error));
+  throw new ApiError(`${request.method} ${request.path} failed with status ${resp.status}: ${reason}`, {
+    status: resp.status,
+    section: request.name,
+    engineName: options.indexName,
+    errors: error
+  });
+}
+
+async function applyRequests(options, index, requests) {
+  console.log(`Applying to Elasticsearch ${options.esEndpoint}`);
+  for (const request of requests) {
+    if (request.name === 'index' && options.force) {
+      console.log(`Deleting index ${index} if it exists (--force)`);
+      await sendRequest(options, { name: 'index', method: 'DELETE', path: request.path }, { ignoreStatuses: [404] });
+    }
+    console.log(`${request.method} ${request.path}`);
+    try {
+      await sendRequest(options, request);
+    } catch (err) {
+      if (request.name === 'index' && err.errors && err.errors.type === 'resource_already_exists_exception') {
+        throw new ApiError(`Index ${index} already exists. Use --force to delete and re-create it.`, Object.assign({}, err));
+      }
+      throw err;
+    }
+  }
+}
+
+// Options: the input (engineJson, inputJson or inputDir), outputDir,
+// indexName (default: the engine name), apply with esEndpoint and esApiKey or
+// esUsername/esPassword, and force (delete an existing index when applying).
+// Resolves to { index, requests, notes }.
+async function exportToElasticsearch(options) {
+  const engineJson = await loadEngineJson(options);
+  const result = buildElasticsearchRequests(engineJson, options);
+  console.log(`Converting engine ${engineJson.read_only.name} to Elasticsearch index ${result.index}`);
+
+  if (options.outputDir) {
+    await fs.mkdir(options.outputDir, { recursive: true });
+    for (const request of result.requests) {
+      const file = path.join(options.outputDir, request.file);
+      console.log(`Writing ${request.method} ${request.path} to ${file}`);
+      await fs.writeFile(file, JSON.stringify(request.body, undefined, 2) + '\n');
+    }
+    await fs.writeFile(path.join(options.outputDir, 'requests.json'), JSON.stringify({
+      index: result.index,
+      requests: result.requests.map(({ method, path: requestPath, file }) => ({ method, path: requestPath, file })),
+      notes: result.notes
+    }, undefined, 2) + '\n');
+  }
+
+  if (result.notes.length) {
+    console.log('Not converted exactly:');
+    result.notes.forEach(note => console.log(`  - ${note}`));
+  }
+  if (options.apply) {
+    await applyRequests(Object.assign({ indexName: result.index }, options), result.index, result.requests);
+    console.log(`Applied ${result.requests.length} request(s) to ${options.esEndpoint}`);
+  }
+  return result;
+}
+
+module.exports = exportToElasticsearch;
+module.exports.buildElasticsearchRequests = buildElasticsearchRequests;
+module.exports.authorizationFor = authorizationFor;
@@ -1,6 +1,19 @@
 
-const { Client } = require('@elastic/enterprise-search')
+const { createClient } = require('./request-policy');
 const fs = require('fs/promises');
+const path = require('path');
+const { buildEngineJson, exportSchema, exportSynonyms, exportCurations } = require('./export-app-search-engine');
+const { diffSchema, diffSynonyms, diffCurations } = require('./diff-app-search-engine');
+const { documentsPathFor, exportDocuments, importDocuments, copyDocuments } = require('./engine-documents');
+const { loadEngineJson } = require('./engine-format');
+const { EntsporterError, EngineExistsError, EngineTypeMismatchError, checkErrors, toApiError } = require('./errors');
+const { emitProgress, trackSection } = require('./progress');
+const { applyTransform } = require('./transform-rules');
+const { documentsPathIn } = require('./engine-layout');
+const { hasSectionSelection, pickSections } = require('./engine-sections');
+const { preflightEngines } = require('./preflight-app-search-engine');
+const { importCrawlerViaRest, runCrawl } = require('./engine-crawler');
+const { importEngineSettings } = require('./engine-settings');
 
 async function deleteEngine(client, engineName) {
   console.log(`Deleting existing engine ${engineName}...`);
@@ -27,83 +40,202 @@ async function deleteEngine(client, engineName) {
 }
 
 
+// Imports options.engineJson (an object), the directory layout at
+// options.inputDir or the file at options.inputJson, after applying
+// options.transform. Resolves to the imported engine JSON; when a crawler
+// was imported, its report { migrated, notMigrated } is the (non-enumerable)
+// crawlerReport property of that JSON.
+// With options.dryRun the transformed JSON is printed and nothing is imported.
+// With options.only / options.skip just those sections are imported; into an
+// existing engine they are reconciled in place and the rest is left alone.
+// The preflight checks run before anything is changed unless options.preflight is false.
 async function importAppSearchEngine(engineName, options) {
   console.log(`Importing App Search engine settings into ${engineName}, host: ${options.appSearchEndpoint}`);
-  const client = new Client({
-    url: options.appSearchEndpoint,
-    auth: {
-      token: options.appSearchPrivateKey
-    }
-  });
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
 
-  console.log(`Reading engine settings from ${options.inputJson}`);
-  const engineJson = JSON.parse(await fs.readFile(options.inputJson, { encoding: 'utf8' }));
+  if (!options.engineJson) {
+    console.log(`Reading engine settings from ${options.inputDir || options.inputJson}`);
+  }
+  const engineJson = pickSections(await applyTransform(await loadEngineJson(options), options.transform), options);
+  if (options.dryRun) {
+    console.log(`Dry run, engine JSON that would be imported into ${engineName}:`);
+    console.log(JSON.stringify(engineJson, undefined, 2));
+    return engineJson;
+  }
   console.dir(engineJson);
+  if (options.includeDocuments && !options.documentsSource && !documentsPathOf(options)) {
+    throw new EntsporterError('Importing documents needs inputJson, inputDir, documentsNdjson or documentsSource');
+  }
 
-  await createEngine(client, engineName, engineJson, options);
-  await importSchema(client, engineName, engineJson);
-  await importSynonyms(client, engineName, engineJson);
-  await importCurations(client, engineName, engineJson);
-  await importSearchSettings(client, engineName, engineJson);
+  // Checks that need no changes on the target run before the snapshot
+  const existingEngine = await getExistingEngine(client, engineName);
+  const inPlace = Boolean(existingEngine) && (options.update || (hasSectionSelection(options) && !options.force));
+  if (existingEngine && !options.force && !inPlace) {
+    throw new EngineExistsError(`Engine ${engineName} already exists. Use --force to delete and recreate, or --update to reconcile it in place.`, { engineName });
+  }
+  const type = engineJson.read_only?.type || 'default';
+  if (inPlace && (existingEngine.type || 'default') !== type) {
+    throw new EngineTypeMismatchError(`Engine ${engineName} is a ${existingEngine.type} engine but the input is a ${type} engine. Use --force to delete and recreate.`,
+      { engineName, engineType: existingEngine.type || 'default', inputType: type });
+  }
+  if (options.preflight !== false) {
+    await preflightEngines(client, [{ engineName, engineJson }], options);
+  }
 
-  // CHANGED: import crawler via REST if crawler data present
-  if (engineJson.crawler) {
-    try {
-      await importCrawlerViaRest(engineName, engineJson.crawler, options);
-    } catch (err) {
-      console.error('Crawler import failed:', err && err.message ? err.message : err);
-      // Do not exit the whole process — warn and continue. If you prefer to abort, uncomment next line:
-      // process.exit(1);
+  // Changing sections in place only needs those sections in the snapshot,
+  // deleting the engine needs all of them
+  const snapshot = existingEngine
+    ? await takeSnapshot(client, engineName, inPlace ? options : Object.assign({}, options, { only: undefined, skip: undefined }))
+    : null;
+  const progress = { step: null, completed: [], engineName, events: options.events };
+
+  try {
+    if (inPlace) {
+      console.log(options.update
+        ? `Engine ${engineName} already exists. --update flag detected, reconciling in place...`
+        : `Engine ${engineName} already exists, reconciling the selected sections in place...`);
+      await reconcileEngine(client, engineName, engineJson, options, progress);
+      if (options.includeDocuments && type !== 'meta') {
+        await runStep(progress, 'documents', () => importDocumentsFor(client, engineName, options));
+      }
+      console.log(`Engine ${engineName} reconciled successfully`);
+    } else {
+      if (existingEngine) {
+        console.log(`Engine ${engineName} already exists. --force flag detected, deleting...`);
+        await runStep(progress, 'delete existing engine', () => deleteEngine(client, engineName));
+      }
+      await importIntoNewEngine(client, engineName, engineJson, options, progress);
     }
+  } catch (err) {
+    console.error(`Import into ${engineName} failed during step "${progress.step}":`, err && err.message ? err.message : err);
+    await rollback(client, engineName, { existingEngine, inPlace, snapshot, progress, options });
+    throw err;
+  }
+
+  // The import is complete, a failed crawl does not roll it back
+  if (options.startCrawl && type !== 'meta') {
+    await runCrawl(engineName, options);
+  }
+  // Not enumerable, so the JSON written or compared later stays the input
+  if (progress.crawlerReport) {
+    Object.defineProperty(engineJson, 'crawlerReport', { value: progress.crawlerReport, configurable: true });
   }
+  return engineJson;
 }
 
-async function createEngine(client, engineName, engineJson, options) {
-  console.log(`Creating engine ${engineName}`);
+async function importIntoNewEngine(client, engineName, engineJson, options, progress) {
+  const isMeta = engineJson.read_only?.type === 'meta';
 
-  // Check if engine exists
-  let engineExists = false;
+  await runStep(progress, 'create engine', () => createEngine(client, engineName, engineJson, options));
+  if (isMeta) {
+    console.log('Meta engine: skipping schema import, the schema comes from its source engines.');
+  } else {
+    await runSectionStep(progress, engineJson, 'schema', () => importSchema(client, engineName, engineJson));
+  }
+  await runSectionStep(progress, engineJson, 'synonyms', () => importSynonyms(client, engineName, engineJson));
+  await runSectionStep(progress, engineJson, 'curations', () => importCurations(client, engineName, engineJson));
+  await runSectionStep(progress, engineJson, 'searchSettings', () => importSearchSettings(client, engineName, engineJson));
+  await runSectionStep(progress, engineJson, 'engineSettings', () => importEngineSettings(engineName, engineJson, options));
+
+  // Crawler items that fail are reported, they do not roll the import back
+  if (engineJson.crawler && !isMeta) {
+    emitProgress(options.events, { operation: 'import', engine: engineName, section: 'crawler', status: 'start' });
+    progress.crawlerReport = await importCrawlerViaRest(engineName, engineJson.crawler, options).catch(err => {
+      const reason = err && err.message ? err.message : String(err);
+      console.error('Crawler import failed:', reason);
+      return { migrated: 0, notMigrated: [{ item: 'crawler', reason }] };
+    });
+    emitProgress(options.events, { operation: 'import', engine: engineName, section: 'crawler', status: 'done', report: progress.crawlerReport });
+  }
+
+  if (options.includeDocuments && isMeta) {
+    console.log('Meta engine: skipping document import, documents live in its source engines.');
+  } else if (options.includeDocuments) {
+    await runStep(progress, 'documents', () => importDocumentsFor(client, engineName, options));
+  }
+}
+
+// Records which import step is running, so a failure can be reported and rolled back
+async function runStep(progress, step, fn) {
+  progress.step = step;
+  await trackSection(progress.events, 'import', progress.engineName, step, fn);
+  progress.completed.push(step);
+}
+
+const STEP_NAMES = { searchSettings: 'search settings', engineSettings: 'engine settings' };
+
+// Runs the import step of a section, or skips it when the section is not in
+// the input (left out of the export, or not selected with --only / --skip)
+async function runSectionStep(progress, engineJson, section, fn) {
+  const step = STEP_NAMES[section] || section;
+  if (engineJson[section] === undefined) {
+    console.log(`No ${step} in input, skipping.`);
+    return;
+  }
+  await runStep(progress, step, fn);
+}
+
+// The documents NDJSON: options.documentsNdjson, or the file in the input
+// directory or next to the input JSON
+function documentsPathOf(options) {
+  return options.documentsNdjson ||
+    (options.inputDir && documentsPathIn(options.inputDir)) ||
+    (options.inputJson && documentsPathFor(options.inputJson));
+}
+
+// Documents come from the NDJSON file, or straight from another engine when
+// options.documentsSource is { appSearchEndpoint, appSearchPrivateKey, engineName }
+function importDocumentsFor(client, engineName, options) {
+  const source = options.documentsSource;
+  if (!source) {
+    return importDocuments(client, engineName, documentsPathOf(options));
+  }
+  const sourceClient = createClient(source.appSearchEndpoint, source.appSearchPrivateKey);
+  return copyDocuments(sourceClient, source.engineName, client, engineName);
+}
+
+// Source engine names of a meta engine, with --source-engine-prefix applied
+function sourceEnginesFor(engineJson, options) {
+  const prefix = options.sourceEnginePrefix || '';
+  return (engineJson.read_only?.source_engines || []).map(name => `${prefix}${name}`);
+}
+
+// Resolves to the engine, or null when it does not exist
+async function getExistingEngine(client, engineName) {
   try {
-    const existingEngine = await client.app.getEngine({
+    return await client.app.getEngine({
       engine_name: engineName
     });
-    engineExists = true;
   } catch (err) {
     // Engine does not exist - this is expected for new imports
     if (err.statusCode === 404 || err.message?.includes('not found')) {
-      engineExists = false;
-    } else {
-      // Unexpected error (network, auth, etc.)
-      console.error('Error checking if engine exists:', err.message || err);
-      throw err;
+      return null;
     }
+    // Unexpected error (network, auth, etc.)
+    console.error('Error checking if engine exists:', err.message || err);
+    throw err;
   }
+}
 
-  // Handle existing engine based on --force flag
-  if (engineExists) {
-    if (options.force) {
-      console.log(`Engine ${engineName} already exists. --force flag detected, deleting...`);
-      await deleteEngine(client, engineName);
-    } else {
-      console.error(`Engine ${engineName} already exists. Use --force to delete and recreate.`);
-      process.exit(1);
-    }
-  }
+async function engineExists(client, engineName) {
+  return Boolean(await getExistingEngine(client, engineName));
+}
+
+async function createEngine(client, engineName, engineJson, options) {
+  console.log(`Creating engine ${engineName}`);
 
-  // Create the engine
   const newEngineSettings = {
     name: engineName,
   }
-  if (engineJson.read_only?.language) {
+  if (engineJson.read_only?.type === 'meta') {
+    newEngineSettings.type = 'meta';
+    newEngineSettings.source_engines = sourceEnginesFor(engineJson, options);
+  } else if (engineJson.read_only?.language) {
     newEngineSettings.language = engineJson.read_only.language;
   }
   console.log(`New engine settings:`);
   console.dir(newEngineSettings);
-  const result = await client.app.createEngine(newEngineSettings);
-  if (result.errors) {
-    console.error('Error creating engine:', result.errors);
-    process.exit(1);
-  }
+  checkErrors(await client.app.createEngine({ body: newEngineSettings }), 'engine', engineName);
 
   console.log(`Engine ${engineName} created successfully`);
 }
@@ -139,15 +271,10 @@ async function importSchema(client, engineName, engineJson) {
 
     console.log(`Pushing schema batch: fields ${i + 1} to ${i + chunk.length}`);
 
-    const result = await client.app.putSchema({
+    checkErrors(await client.app.putSchema({
       engine_name: engineName,
       schema: batchSchema
-    });
-
-    if (result.errors) {
-      console.error("Error in schema batch:", result.errors);
-      process.exit(1);
-    }
+    }), 'schema', engineName);
   }
 
   console.log("Schema import completed successfully.");
@@ -161,17 +288,12 @@ async function importSynonyms(client, engineName, engineJson) {
   }
   for (const synonymSet of engineJson.synonyms) {
     try {
-      const result = await client.app.createSynonymSet({
+      await checkResult(client.app.createSynonymSet({
         engine_name: engineName,
         synonyms: synonymSet.synonyms,
-      });
-      if (result && result.errors) {
-        console.error(result.errors)
-        process.exit(1)
-      }
+      }), 'synonyms', engineName);
     } catch (err) {
-      console.error('createSynonymSet failed:', err && err.message ? err.message : err);
-      process.exit(1);
+      throw toApiError(err, 'synonyms', engineName);
     }
   }
   console.log('Synonyms import complete.');
@@ -185,19 +307,14 @@ async function importCurations(client, engineName, engineJson) {
   }
   for (const curation of engineJson.curations) {
     try {
-      const result = await client.app.createCuration({
+      await checkResult(client.app.createCuration({
         engine_name: engineName,
         queries: curation.queries,
         promoted_doc_ids: curation.promoted,
         hidden_doc_ids: curation.hidden,
-      });
-      if (result && result.errors) {
-        console.error(result.errors)
-        process.exit(1)
-      }
+      }), 'curations', engineName);
     } catch (err) {
-      console.error('createCuration failed:', err && err.message ? err.message : err);
-      process.exit(1);
+      throw toApiError(err, 'curations', engineName);
     }
   }
   console.log('Curations import complete.');
@@ -221,155 +338,249 @@ async function importSearchSettings(client, engineName, engineJson) {
   if (engineJson.searchSettings.precision) {
     searchSettings.body.precision = engineJson.searchSettings.precision;
   }
-  const result = await client.app.putSearchSettings(searchSettings);
-  if (result.errors) {
-    console.error(result.errors)
-    process.exit(1)
-  }
+  checkErrors(await client.app.putSearchSettings(searchSettings), 'search settings', engineName);
 }
 
 /* -------------------------
-   CRAWLER import via REST (domains, entry_points, crawl_rules, sitemaps)
+   RECONCILE an existing engine in place (--update)
    ------------------------- */
-async function importCrawlerViaRest(engineName, crawlerObj, options) {
-  console.log('Importing crawler config via REST (domains, entry_points, crawl_rules, sitemaps)...');
-
-  // ensure fetch exists (Node 18+)
-  const _fetch = global.fetch || (await import('node-fetch').then(m => m.default));
-
-  const baseRoot = options.appSearchEndpoint.replace(/\/$/, '') +
-    `/api/as/v1/engines/${encodeURIComponent(engineName)}/crawler`;
-  const apiKey = options.appSearchPrivateKey;
-
-  // Generic top-level POST (for domains only)
-  async function restPost(path, body) {
-    const url = `${baseRoot}${path}`;
-    const resp = await _fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '<no body>');
-      throw new Error(`POST ${url} => ${resp.status} ${resp.statusText}: ${text}`);
+async function reconcileEngine(client, engineName, engineJson, options, progress = { completed: [], engineName }) {
+  const liveEngine = await client.app.getEngine({ engine_name: engineName });
+  const isMeta = engineJson.read_only?.type === 'meta';
+
+  // Source engines belong to read_only, so a partial import leaves them alone
+  if (isMeta && !hasSectionSelection(options)) {
+    await runStep(progress, 'source engines', () =>
+      reconcileSourceEngines(client, engineName, sourceEnginesFor(engineJson, options), liveEngine.source_engines || []));
+  } else if (!isMeta) {
+    await runSectionStep(progress, engineJson, 'schema', () => reconcileSchema(client, engineName, engineJson, progress));
+  }
+  await runSectionStep(progress, engineJson, 'synonyms', () => reconcileSynonyms(client, engineName, engineJson));
+  await runSectionStep(progress, engineJson, 'curations', () => reconcileCurations(client, engineName, engineJson));
+  await runSectionStep(progress, engineJson, 'searchSettings', () => importSearchSettings(client, engineName, engineJson));
+  await runSectionStep(progress, engineJson, 'engineSettings', () => importEngineSettings(engineName, engineJson, options));
+
+  if (engineJson.crawler && !isMeta) {
+    console.log('Crawler configuration is not reconciled into an existing engine, skipping.');
+  }
+}
+
+async function reconcileSourceEngines(client, engineName, desired, live) {
+  console.log('Reconciling meta engine source engines');
+  const added = desired.filter(name => !live.includes(name));
+  const removed = live.filter(name => !desired.includes(name));
+
+  try {
+    if (added.length) {
+      await checkResult(client.app.addMetaEngineSource({ engine_name: engineName, sourceEngines: added }), 'source engines', engineName);
+      console.log(`Added source engines: ${added.join(', ')}`);
     }
-    return resp.json();
-  }
-
-  // Domain-scoped POST: /domains/{id}/entry_points, /crawl_rules, /sitemaps
-  async function restPostDomain(domainId, subpath, body) {
-    const url = `${baseRoot}/domains/${encodeURIComponent(domainId)}${subpath}`;
-    const resp = await _fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-      const text = await resp.text().catch(() => '<no body>');
-      throw new Error(`POST ${url} => ${resp.status} ${resp.statusText}: ${text}`);
+    if (removed.length) {
+      await checkResult(client.app.deleteMetaEngineSource({ engine_name: engineName, sourceEngines: removed }), 'source engines', engineName);
+      console.log(`Removed source engines: ${removed.join(', ')}`);
     }
-    return resp.json();
+  } catch (err) {
+    throw toApiError(err, 'source engines', engineName);
   }
+  if (!added.length && !removed.length) {
+    console.log('Source engines already match.');
+  }
+}
 
-  /* --------------------
-     1) IMPORT DOMAINS
-     -------------------- */
-  const domains = crawlerObj.domains || [];
-  const createdDomainMap = {};
-
-  for (const d of domains) {
-    const domainBody = { name: d.name || d.url || d.domain || '' };
-    if (d.default_crawl_rule) domainBody.default_crawl_rule = d.default_crawl_rule;
+async function reconcileSchema(client, engineName, engineJson, progress = {}) {
+  console.log('Reconciling schema');
+  const liveSchema = await exportSchema(client, engineName);
+  const { added, retyped, liveOnly } = diffSchema(engineJson.schema, liveSchema);
 
-    try {
-      const created = await restPost('/domains', domainBody);
-      const createdId = created.id;
-      const origKey = d.id || d.name || d.url;
+  for (const { field, from, to } of retyped) {
+    console.warn(`Field "${field}" is ${from} on the engine but ${to} in the input, leaving it unchanged`);
+  }
+  if (liveOnly.length) {
+    console.log(`Fields only on the engine (kept): ${liveOnly.join(', ')}`);
+  }
+  if (!Object.keys(added).length) {
+    console.log('No new schema fields to add.');
+    return;
+  }
 
-      if (origKey) createdDomainMap[origKey] = createdId;
+  // App Search cannot remove schema fields, so a rollback reports these instead
+  progress.addedFields = Object.keys(added);
+  await importSchema(client, engineName, { schema: added });
+}
 
-      console.log(`Created domain ${domainBody.name} => id ${createdId}`);
-    } catch (err) {
-      console.warn('Could not create domain (continuing):', err.message);
-    }
+async function reconcileSynonyms(client, engineName, engineJson) {
+  console.log('Reconciling synonyms');
+  if (!Array.isArray(engineJson.synonyms)) {
+    console.log('No synonyms in input, leaving engine synonyms unchanged.');
+    return;
   }
+  const liveSynonyms = await exportSynonyms(client, engineName);
+  const { added, changed, removed } = diffSynonyms(engineJson.synonyms, liveSynonyms);
 
-  /* --------------------
-     2) IMPORT ENTRY POINTS
-     -------------------- */
-  const entryPoints = crawlerObj.entryPoints || crawlerObj.entry_points || [];
-  for (const ep of entryPoints) {
-    const domainId = createdDomainMap[ep.domain_id] || ep.domain_id;
-    if (!domainId) {
-      console.warn(`Skipping entry_point "${ep.value}" — no domain_id`);
-      continue;
+  try {
+    for (const synonymSet of added) {
+      await checkResult(client.app.createSynonymSet({
+        engine_name: engineName,
+        synonyms: synonymSet.synonyms,
+      }), 'synonyms', engineName);
+      console.log(`Created synonym set [${synonymSet.synonyms.join(', ')}]`);
+    }
+    for (const { desired, live } of changed) {
+      await checkResult(client.app.putSynonymSet({
+        engine_name: engineName,
+        synonym_set_id: live.id,
+        synonyms: desired.synonyms,
+      }), 'synonyms', engineName);
+      console.log(`Updated synonym set ${live.id} => [${desired.synonyms.join(', ')}]`);
     }
+    for (const synonymSet of removed) {
+      await checkResult(client.app.deleteSynonymSet({
+        engine_name: engineName,
+        synonym_set_id: synonymSet.id,
+      }), 'synonyms', engineName);
+      console.log(`Deleted synonym set ${synonymSet.id} [${synonymSet.synonyms.join(', ')}]`);
+    }
+  } catch (err) {
+    throw toApiError(err, 'synonyms', engineName);
+  }
+  console.log(`Synonyms reconciled: ${added.length} created, ${changed.length} updated, ${removed.length} deleted.`);
+}
 
-    const body = { value: ep.value };
+async function reconcileCurations(client, engineName, engineJson) {
+  console.log('Reconciling curations');
+  if (!Array.isArray(engineJson.curations)) {
+    console.log('No curations in input, leaving engine curations unchanged.');
+    return;
+  }
+  const liveCurations = await exportCurations(client, engineName);
+  const { added, changed, removed } = diffCurations(engineJson.curations, liveCurations);
 
-    try {
-      const created = await restPostDomain(domainId, '/entry_points', body);
-      console.log(`Created entry_point ${ep.value} under domain ${domainId}`);
-    } catch (err) {
-      console.warn('Could not create entry_point:', err.message);
+  try {
+    for (const curation of added) {
+      await checkResult(client.app.createCuration({
+        engine_name: engineName,
+        queries: curation.queries,
+        promoted_doc_ids: curation.promoted,
+        hidden_doc_ids: curation.hidden,
+      }), 'curations', engineName);
+      console.log(`Created curation for [${curation.queries.join(', ')}]`);
+    }
+    for (const { desired, live } of changed) {
+      await checkResult(client.app.putCuration({
+        engine_name: engineName,
+        curation_id: live.id,
+        queries: desired.queries,
+        promoted_doc_ids: desired.promoted,
+        hidden_doc_ids: desired.hidden,
+      }), 'curations', engineName);
+      console.log(`Updated curation ${live.id} for [${desired.queries.join(', ')}]`);
     }
+    for (const curation of removed) {
+      await checkResult(client.app.deleteCuration({
+        engine_name: engineName,
+        curation_id: curation.id,
+      }), 'curations', engineName);
+      console.log(`Deleted curation ${curation.id} for [${curation.queries.join(', ')}]`);
+    }
+  } catch (err) {
+    throw toApiError(err, 'curations', engineName);
   }
+  console.log(`Curations reconciled: ${added.length} created, ${changed.length} updated, ${removed.length} deleted.`);
+}
 
-  /* --------------------
-     3) IMPORT CRAWL RULES
-     -------------------- */
-  const crawlRules = crawlerObj.crawlRules || crawlerObj.crawl_rules || [];
-  for (const cr of crawlRules) {
-    const domainId = createdDomainMap[cr.domain_id] || cr.domain_id;
-    if (!domainId) {
-      console.warn(`Skipping crawl_rule — no domain_id`);
-      continue;
-    }
+// Awaits an SDK call and turns an `errors` payload into an ApiError
+async function checkResult(promise, section, engineName) {
+  return checkErrors(await promise, section, engineName);
+}
 
-    const body = {
-      policy: cr.policy,
-      rule: cr.rule,
-      pattern: cr.pattern,
-      order: cr.order
-    };
+/* -------------------------
+   SNAPSHOT & ROLLBACK
+   ------------------------- */
 
-    try {
-      const created = await restPostDomain(domainId, '/crawl_rules', body);
-      console.log(`Created crawl_rule under domain ${domainId}`);
-    } catch (err) {
-      console.warn('Could not create crawl_rule:', err.message);
-    }
+// Exports the existing target engine before anything is changed. With --force
+// the documents are included too, because deleting the engine deletes them.
+async function takeSnapshot(client, engineName, options) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  // Snapshots of a directory layout go next to the directory, not into it
+  const input = options.inputDir ? path.resolve(options.inputDir) : options.inputJson;
+  const snapshotDir = options.snapshotDir || (input ? path.dirname(input) : '.');
+  const snapshotPath = path.join(snapshotDir, `${engineName}.snapshot-${stamp}.json`);
+
+  console.log(`Taking snapshot of engine ${engineName} before import: ${snapshotPath}`);
+  const engineJson = await buildEngineJson(client, engineName, options);
+  await fs.mkdir(snapshotDir, { recursive: true });
+  await fs.writeFile(snapshotPath, JSON.stringify(engineJson, undefined, 2));
+
+  const includeDocuments = Boolean(options.force) && engineJson.read_only.type !== 'meta';
+  if (includeDocuments) {
+    await exportDocuments(client, engineName, documentsPathFor(snapshotPath));
   }
 
-  /* --------------------
-     4) IMPORT SITEMAPS
-     -------------------- */
-  const sitemaps = crawlerObj.sitemaps || [];
-  for (const sm of sitemaps) {
-    const domainId = createdDomainMap[sm.domain_id] || sm.domain_id;
-    if (!domainId) {
-      console.warn(`Skipping sitemap — no domain_id`);
-      continue;
-    }
+  return { path: snapshotPath, engineJson, includeDocuments };
+}
 
-    const body = { url: sm.url || sm.value };
+// Puts the target back the way it was before the failed import: a new engine
+// is deleted, an engine replaced with --force is re-created from the snapshot
+// and an engine changed in place (--update, --only, --skip) is reconciled back
+// to the snapshot.
+async function rollback(client, engineName, { existingEngine, inPlace, snapshot, progress, options }) {
+  console.log(`Rolling back engine ${engineName}...`);
+  const summary = [];
+  const restoreOptions = Object.assign({}, options, {
+    inputJson: snapshot && snapshot.path,
+    inputDir: undefined,
+    engineJson: undefined,
+    documentsNdjson: undefined,
+    documentsSource: undefined,
+    events: undefined,
+    only: undefined,
+    skip: undefined,
+    includeDocuments: Boolean(snapshot && snapshot.includeDocuments),
+    sourceEnginePrefix: ''
+  });
 
-    try {
-      const created = await restPostDomain(domainId, '/sitemaps', body);
-      console.log(`Created sitemap ${body.url} under domain ${domainId}`);
-    } catch (err) {
-      console.warn('Could not create sitemap:', err.message);
+  try {
+    if (!existingEngine) {
+      if (progress.step === 'create engine' || progress.completed.includes('create engine')) {
+        await deleteEngine(client, engineName);
+        summary.push(`deleted partially imported engine ${engineName}`);
+      }
+      if (options.applyLogSettings && progress.completed.includes('engine settings')) {
+        summary.push('log settings apply to the whole deployment and were not rolled back');
+      }
+    } else if (inPlace) {
+      await reconcileEngine(client, engineName, snapshot.engineJson, restoreOptions);
+      summary.push(`reconciled ${engineName} back to the snapshot (source engines, synonyms, curations, search settings, engine settings)`);
+      if (progress.addedFields && progress.addedFields.length) {
+        summary.push(`schema fields added by the import cannot be removed: ${progress.addedFields.join(', ')}`);
+      }
+      if (progress.step === 'documents' || progress.completed.includes('documents')) {
+        summary.push('documents indexed by the import were not removed');
+      }
+    } else if (progress.completed.includes('delete existing engine')) {
+      await deleteEngine(client, engineName);
+      await importIntoNewEngine(client, engineName, snapshot.engineJson, restoreOptions, { completed: [], engineName });
+      summary.push(`deleted partially imported engine ${engineName}`);
+      summary.push(`re-created ${engineName} from the snapshot${snapshot.includeDocuments ? ' including documents' : ''}`);
+    }
+  } catch (err) {
+    console.error(`ROLLBACK FAILED for engine ${engineName}:`, err && err.message ? err.message : err);
+    if (snapshot) {
+      console.error(`Restore it manually with: import-app-search-engine ${engineName} --force --input-json ${snapshot.path}` +
+        (snapshot.includeDocuments ? ' --include-documents' : ''));
     }
+    return;
   }
 
-  console.log('Crawler import (REST) finished.');
+  console.log(`Rollback summary for engine ${engineName}:`);
+  if (!summary.length) {
+    summary.push('nothing was changed, nothing to roll back');
+  }
+  summary.forEach(line => console.log(`  - ${line}`));
+  if (snapshot) {
+    console.log(`Snapshot kept at ${snapshot.path}`);
+  }
 }
 
-
 module.exports = importAppSearchEngine;
+module.exports.engineExists = engineExists;
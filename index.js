@@ -1,38 +1,405 @@
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const fetch = require('node-fetch');
-const exportAppSearchEngine = require('./export-app-search-engine');
-const importAppSearchEngine = require('./import-app-search-engine');
+const {
+  exportAppSearchEngine,
+  importAppSearchEngine,
+  planAppSearchEngine,
+  driftAppSearchEngines,
+  verifyAppSearchEngine,
+  preflightAppSearchEngine,
+  cloneAppSearchEngine,
+  bulkExportEngines,
+  bulkImportEngines,
+  backupEngines,
+  listBackups,
+  restoreEngine,
+  exportToElasticsearch,
+  exportEditableSections,
+  importEditableSections,
+  exportAnalytics,
+  bulkExportAnalytics,
+  upgradeEngineJsonFile,
+  lintEngineFile,
+  configureRequestPolicy
+} = require('./api');
+const { addRequestPolicyOptions } = require('./request-policy');
+const { addEnvironmentOptions, applyEnvironmentOptions } = require('./config-profiles');
+const { installConsoleRedaction } = require('./redact');
+const { addSmokeQueryOptions } = require('./verify-app-search-engine');
+const { addSectionOptions } = require('./engine-sections');
+const { addPreflightOptions } = require('./preflight-app-search-engine');
+const { addRetentionOptions } = require('./backup-engines');
+const { addCrawlOptions, crawlerItemsNotMigrated } = require('./engine-crawler');
+const { addEngineSettingsOptions } = require('./engine-settings');
+const { MODES: EDITABLE_MODES } = require('./editable-sections');
+const { addAnalyticsOptions } = require('./export-analytics');
 
 async function main() {
+  installConsoleRedaction();
 
   program
     .name('entsporter')
     .description('CLI to import and export Elastic App Search engine settings')
-    .version('1.0.0');
+    .version('1.0.0')
+    .hook('preAction', async (thisCommand, actionCommand) => {
+      await applyEnvironmentOptions(actionCommand);
+      configureRequestPolicy(actionCommand.opts());
+    });
 
-  program.command('export-app-search-engine')
+  const exportCommand = program.command('export-app-search-engine')
     .description('Export an App Search engine as JSON')
     .argument('<engine-name>', 'Name of the App Search engine to export')
-    .requiredOption('--app-search-endpoint <value>', 'Must specify an App Search server endpoint, e.g. http://localhost:3002')
-    .requiredOption('--app-search-private-key <value>', 'Must specify an App Search private key')
-    .requiredOption('--output-json <value>', 'File to output the exported engine settings as JSON')
-    .action((engineName, options, command) => {
-      exportAppSearchEngine(engineName, options)
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--output-json <value>', 'File to output the exported engine settings as JSON')
+    .option('--output-dir <value>', 'Directory to output one sorted JSON file per section, for keeping engines in git')
+    .option('--strip-ids', 'Leave out server-generated ids and timestamps')
+    .option('--include-documents', 'Also export all documents to an NDJSON file next to the output JSON (or documents.ndjson in the output directory)');
+  addSectionOptions(exportCommand)
+    .action(async (engineName, options, command) => {
+      if (!options.outputJson && !options.outputDir) {
+        command.error("error: required option '--output-json <value>' or '--output-dir <value>' not specified");
+      }
+      await exportAppSearchEngine(engineName, options);
     });
 
-  program.command('import-app-search-engine')
+  const importCommand = program.command('import-app-search-engine')
     .description("Import an App Search engine's settings from JSON into a new engine.")
     .argument('<engine-name>', 'Name of a new App Search engine to create with the specified engine settings')
-    .requiredOption('--app-search-endpoint <value>', 'Must specify an App Search server endpoint, e.g. http://localhost:3002')
-    .requiredOption('--app-search-private-key <value>', 'Must specify an App Search private key')
-    .requiredOption('--input-json <value>', 'File containing exported engine settings JSON')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--input-json <value>', 'File containing exported engine settings JSON')
+    .addOption(new Option('--input-dir <value>', 'Directory with one JSON file per section, as written by --output-dir').conflicts('inputJson'))
     .option('--force', 'Delete existing engine if it exists before importing')
-    .action((engineName, options, command) => {
-      importAppSearchEngine(engineName, options)
+    .addOption(new Option('--update', 'Reconcile an existing engine in place instead of deleting it').conflicts('force'))
+    .option('--include-documents', 'Also index the documents from the NDJSON file next to the input JSON (or documents.ndjson in the input directory)')
+    .option('--source-engine-prefix <value>', 'Prefix added to the source engine names of a meta engine', '')
+    .option('--snapshot-dir <value>', 'Directory for the snapshot taken before an existing engine is changed (default: next to the input JSON)')
+    .option('--transform <file>', 'YAML or JSON transform rules applied to the engine JSON before importing')
+    .option('--dry-run', 'Print the (transformed) engine JSON without importing anything')
+    .option('--verify', 'After importing, re-export the engine and run the smoke queries to check it (exits with code 2 on differences)')
+    .option('--verify-report <file>', 'File to write the verification report as JSON');
+  addEngineSettingsOptions(addCrawlOptions(addPreflightOptions(addSectionOptions(importCommand))))
+    .action(async (engineName, options, command) => {
+      const engineJson = await importAppSearchEngine(engineName, options);
+      if (options.verify && !options.dryRun) {
+        // The imported JSON is already transformed
+        const report = await verifyAppSearchEngine(engineName, Object.assign({}, options, {
+          engineJson,
+          transform: undefined,
+          outputJson: options.verifyReport
+        }));
+        if (!report.ok) {
+          process.exitCode = 2;
+        }
+      }
+      if (crawlerItemsNotMigrated(engineJson)) {
+        process.exitCode = 1;
+      }
+    });
+
+  const planCommand = program.command('plan')
+    .description('Show what importing a JSON file would change on an engine, without changing anything. Exits with code 2 when there are changes.')
+    .argument('<engine-name>', 'Name of the App Search engine to compare against')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--input-json <value>', 'File containing exported engine settings JSON')
+    .addOption(new Option('--input-dir <value>', 'Directory with one JSON file per section, as written by --output-dir').conflicts('inputJson'))
+    .option('--transform <file>', 'YAML or JSON transform rules applied to the engine JSON before comparing');
+  addEngineSettingsOptions(planCommand)
+    .action(async (engineName, options, command) => {
+      const changes = await planAppSearchEngine(engineName, options);
+      if (changes) {
+        process.exitCode = 2;
+      }
+    });
+
+  const preflightCommand = program.command('preflight')
+    .description('Check that an engine JSON can be imported into the target cluster, without changing anything. Exits with code 2 when a check fails.')
+    .argument('<engine-name>', 'Name of the App Search engine to import into')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--input-json <value>', 'File containing exported engine settings JSON')
+    .addOption(new Option('--input-dir <value>', 'Directory with one JSON file per section, as written by --output-dir').conflicts('inputJson'))
+    .option('--transform <file>', 'YAML or JSON transform rules applied to the engine JSON before checking')
+    .option('--force', 'Check as for an import that deletes an existing engine')
+    .addOption(new Option('--update', 'Check as for an import that reconciles an existing engine in place').conflicts('force'))
+    .option('--output-json <value>', 'File to write the preflight report as JSON');
+  addPreflightOptions(addSectionOptions(preflightCommand), { optOut: false })
+    .action(async (engineName, options, command) => {
+      const report = await preflightAppSearchEngine(engineName, options);
+      if (!report.ok) {
+        process.exitCode = 2;
+      }
+    });
+
+  program.command('verify')
+    .description('Check an engine against the JSON it was imported from and compare smoke query results with the source engine. Exits with code 2 on differences.')
+    .argument('<engine-name>', 'Name of the App Search engine to verify')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--input-json <value>', 'File containing the engine settings JSON that was imported')
+    .addOption(new Option('--input-dir <value>', 'Directory with one JSON file per section, as written by --output-dir').conflicts('inputJson'))
+    .option('--transform <file>', 'YAML or JSON transform rules that were applied on import')
+    .option('--output-json <value>', 'File to write the verification report as JSON')
+    .action(async (engineName, options, command) => {
+      const report = await verifyAppSearchEngine(engineName, options);
+      if (!report.ok) {
+        process.exitCode = 2;
+      }
+    });
+
+  program.command('upgrade-engine-json')
+    .description('Validate an exported engine JSON file and rewrite it in the current format version')
+    .requiredOption('--input-json <value>', 'File containing exported engine settings JSON')
+    .requiredOption('--output-json <value>', 'File to write the upgraded engine settings JSON')
+    .action(async (options, command) => {
+      await upgradeEngineJsonFile(options.inputJson, options.outputJson);
+    });
+
+  program.command('lint')
+    .description('Check an engine JSON file (or --output-dir directory) for settings App Search would reject. Exits with code 2 when there are errors.')
+    .argument('<file>', 'Engine JSON file or directory to check')
+    .option('--fix', 'Remove duplicates (synonym sets and words, curation queries and ids, crawler entries) and write the result back')
+    .option('--output-json <value>', 'With --fix, write the fixed engine JSON here instead of over the input')
+    .action(async (file, options, command) => {
+      const result = await lintEngineFile(file, options);
+      if (result.errors) {
+        process.exitCode = 2;
+      }
+    });
+
+  const elasticsearchCommand = program.command('export-to-elasticsearch')
+    .description('Convert an engine JSON into Elasticsearch index mappings, a synonyms set, query rules and a search template')
+    .option('--input-json <value>', 'File containing exported engine settings JSON')
+    .addOption(new Option('--input-dir <value>', 'Directory with one JSON file per section, as written by --output-dir').conflicts('inputJson'))
+    .requiredOption('--output-dir <value>', 'Directory to write one request body per file to, plus requests.json')
+    .option('--index-name <value>', 'Name of the Elasticsearch index (default: the engine name)')
+    .option('--apply', 'Also send the requests to --es-endpoint')
+    .option('--es-endpoint <value>', 'Elasticsearch endpoint, e.g. https://localhost:9200')
+    .option('--es-api-key <value>', 'Elasticsearch API key (encoded)')
+    .option('--es-username <value>', 'Elasticsearch user, instead of an API key')
+    .option('--es-password <value>', 'Password of --es-username')
+    .option('--force', 'With --apply, delete the index if it exists before creating it');
+  addRequestPolicyOptions(elasticsearchCommand)
+    .action(async (options, command) => {
+      if (!options.inputJson && !options.inputDir) {
+        command.error("error: required option '--input-json <value>' or '--input-dir <value>' not specified");
+      }
+      if (options.apply && !options.esEndpoint) {
+        command.error("error: required option '--es-endpoint <value>' not specified (needed by --apply)");
+      }
+      await exportToElasticsearch(options);
+    });
+
+  program.command('drift')
+    .description('Compare all engines on a source and a target cluster and report missing, extra and different engines. Exits with code 2 when there is drift, 1 when engines could not be compared.')
+    .argument('[engine-filter]', 'Optional substring filter for engine names', '')
+    .option('--from-endpoint <value>', 'Source App Search endpoint (or use --from-env)')
+    .option('--from-key <value>', 'Source App Search private key (or use --from-env)')
+    .option('--to-endpoint <value>', 'Target App Search endpoint (or use --to-env)')
+    .option('--to-key <value>', 'Target App Search private key (or use --to-env)')
+    .option('--target-prefix <value>', 'Prefix for target engine names', '')
+    .option('--output-json <value>', 'File to write the drift report as JSON', 'drift-report.json')
+    .action(async (engineFilter, options, command) => {
+      const report = await driftAppSearchEngines(engineFilter, options);
+      if (report.summary.error) {
+        process.exitCode = 1;
+      } else if (report.summary.drifted) {
+        process.exitCode = 2;
+      }
+    });
+
+  const cloneCommand = program.command('clone-app-search-engine')
+    .description('Copy an engine into another engine, on the same or another cluster, without intermediate files')
+    .argument('<source>', 'Name of the App Search engine to copy')
+    .argument('<target>', 'Name of the engine to create or replace')
+    .option('--app-search-endpoint <value>', 'App Search endpoint of the source engine (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key of the source cluster (or use --env)')
+    .option('--target-endpoint <value>', 'App Search endpoint of the target cluster (default: the source cluster, or use --target-env)')
+    .option('--target-key <value>', 'App Search private key of the target cluster (or use --target-env)')
+    .option('--include-documents', 'Also copy all documents')
+    .option('--force', 'Delete the target engine if it exists before cloning')
+    .addOption(new Option('--update', 'Reconcile an existing target engine in place instead of deleting it').conflicts('force'))
+    .addOption(new Option('--swap', 'Build the clone under a temporary name first, then replace the target').conflicts(['update', 'only', 'skip']))
+    .option('--snapshot-dir <value>', 'Directory for the snapshot taken before an existing target is changed (default: the current directory)');
+  addEngineSettingsOptions(addCrawlOptions(addPreflightOptions(addSectionOptions(cloneCommand))))
+    .action(async (source, target, options, command) => {
+      if (options.targetEndpoint && !options.targetKey) {
+        command.error("error: required option '--target-key <value>' not specified (or use --target-env <name>)");
+      }
+      const engineJson = await cloneAppSearchEngine(source, target, options);
+      if (crawlerItemsNotMigrated(engineJson)) {
+        process.exitCode = 1;
+      }
     });
 
+  const bulkExportCommand = program.command('bulk-export')
+    .description('Export all matching engines of a cluster into a directory with a manifest, for carrying to a cluster that cannot be reached from here')
+    .argument('[engine-filter]', 'Optional substring filter for engine names', '')
+    .option('--from-endpoint <value>', 'Source App Search endpoint (or use --from-env)')
+    .option('--from-key <value>', 'Source App Search private key (or use --from-env)')
+    .option('--output-dir <value>', 'Directory to write the engine JSON files and manifest.json to', './engines-export')
+    .option('--include-documents', 'Also export all documents to an NDJSON file per engine')
+    .option('--dry-run', 'Only list the engines that would be exported')
+    .option('--force', 'Replace an existing export in the output directory');
+  addSectionOptions(bulkExportCommand)
+    .action(async (engineFilter, options, command) => {
+      const manifest = await bulkExportEngines(engineFilter, options);
+      if (manifest && manifest.failed.length) {
+        process.exitCode = 1;
+      }
+    });
+
+  const bulkImportCommand = program.command('bulk-import')
+    .description('Import every engine of a bulk-export directory into a cluster, after checking the files against the manifest')
+    .argument('[engine-filter]', 'Optional substring filter for engine names', '')
+    .option('--to-endpoint <value>', 'Target App Search endpoint (or use --to-env)')
+    .option('--to-key <value>', 'Target App Search private key (or use --to-env)')
+    .requiredOption('--input-dir <value>', 'Directory written by bulk-export')
+    .option('--target-prefix <value>', 'Prefix for target engine names', '')
+    .option('--include-documents', 'Also index the documents exported with the engines')
+    .option('--snapshot-dir <value>', 'Directory for the snapshots taken before existing engines are changed (default: the input directory)')
+    .option('--dry-run', 'Check the files against the manifest and list the engines, without importing')
+    .option('--force', 'Delete target engines that already exist before importing');
+  addEngineSettingsOptions(addPreflightOptions(addSectionOptions(bulkImportCommand)))
+    .action(async (engineFilter, options, command) => {
+      const results = await bulkImportEngines(engineFilter, options);
+      if (results.some(result => result.status === 'failed' || (result.crawler_not_migrated && result.crawler_not_migrated.length))) {
+        process.exitCode = 1;
+      }
+    });
+
+  const backupCommand = program.command('backup')
+    .description('Back up all matching engines into a timestamped snapshot under the backup root, then prune old snapshots')
+    .argument('[engine-filter]', 'Optional substring filter for engine names', '')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--backup-root <value>', 'Directory holding one directory per snapshot', './backups')
+    .option('--include-documents', 'Also back up all documents')
+    .option('--dry-run', 'Only list the engines that would be backed up and the snapshots that would be pruned');
+  addSectionOptions(addRetentionOptions(backupCommand))
+    .action(async (engineFilter, options, command) => {
+      const result = await backupEngines(engineFilter, options);
+      if (result.manifest && result.manifest.failed.length) {
+        process.exitCode = 1;
+      }
+    });
+
+  program.command('list-backups')
+    .description('List the snapshots under the backup root')
+    .argument('[engine-name]', 'Only list snapshots holding this engine')
+    .option('--backup-root <value>', 'Directory holding one directory per snapshot', './backups')
+    .action(async (engineName, options, command) => {
+      await listBackups(options.backupRoot, { engineName });
+    });
+
+  const restoreCommand = program.command('restore')
+    .description('Import an engine from the newest backup taken at or before --at')
+    .argument('<engine-name>', 'Name of the backed up App Search engine')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--backup-root <value>', 'Directory holding one directory per snapshot', './backups')
+    .option('--at <timestamp>', 'Snapshot name or date/time to restore, e.g. 2024-05-01T12:00:00Z; a date alone is the end of that day, UTC (default: the newest snapshot)')
+    .option('--target-engine <value>', 'Restore into this engine instead of the backed up one')
+    .option('--force', 'Delete the engine if it exists before restoring')
+    .addOption(new Option('--update', 'Reconcile an existing engine in place instead of deleting it').conflicts('force'))
+    .option('--include-documents', 'Also restore the documents, if the snapshot has them')
+    .option('--source-engine-prefix <value>', 'Prefix added to the source engine names of a meta engine', '')
+    .option('--snapshot-dir <value>', 'Directory for the snapshot taken before an existing engine is changed (default: the backup root)')
+    .option('--dry-run', 'Print the engine JSON that would be restored without importing anything');
+  addEngineSettingsOptions(addCrawlOptions(addPreflightOptions(addSectionOptions(restoreCommand))))
+    .action(async (engineName, options, command) => {
+      const engineJson = await restoreEngine(engineName, options);
+      if (crawlerItemsNotMigrated(engineJson)) {
+        process.exitCode = 1;
+      }
+    });
+
+  program.command('export-synonyms-curations')
+    .description('Export the synonyms and/or curations of an engine as CSV or YAML for editing (format from the file extension)')
+    .argument('<engine-name>', 'Name of the App Search engine to export from')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--synonyms <file>', 'File to write the synonym sets to (.csv, .yaml or .yml)')
+    .option('--curations <file>', 'File to write the curations to (.csv, .yaml or .yml)')
+    .option('--add-queries <analytics.json>', 'Add an empty curation for every top and no-results query of an export-analytics file that has none')
+    .action(async (engineName, options, command) => {
+      if (!options.synonyms && !options.curations) {
+        command.error("error: required option '--synonyms <file>' or '--curations <file>' not specified");
+      }
+      if (options.addQueries && !options.curations) {
+        command.error("error: option '--add-queries <analytics.json>' needs '--curations <file>'");
+      }
+      await exportEditableSections(engineName, options);
+    });
+
+  const importEditableCommand = program.command('import-synonyms-curations')
+    .description('Import synonyms and/or curations from CSV or YAML files into an existing engine')
+    .argument('<engine-name>', 'Name of the App Search engine to import into')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--synonyms <file>', 'File with the synonym sets (.csv, .yaml or .yml)')
+    .option('--curations <file>', 'File with the curations (.csv, .yaml or .yml)')
+    .addOption(new Option('--mode <mode>', 'replace: the engine gets exactly the file contents; merge: add the file to what is on the engine').choices(EDITABLE_MODES).default('replace'))
+    .option('--snapshot-dir <value>', 'Directory for the snapshot taken before the engine is changed (default: next to the first file)')
+    .option('--dry-run', 'Print the changes that would be made without importing anything');
+  addPreflightOptions(importEditableCommand)
+    .action(async (engineName, options, command) => {
+      if (!options.synonyms && !options.curations) {
+        command.error("error: required option '--synonyms <file>' or '--curations <file>' not specified");
+      }
+      await importEditableSections(engineName, options);
+    });
+
+  const exportAnalyticsCommand = program.command('export-analytics')
+    .description('Export the top queries, no-results queries, clicks and query counts of an engine for a date range as JSON and CSV')
+    .argument('<engine-name>', 'Name of the App Search engine to export analytics from')
+    .option('--app-search-endpoint <value>', 'App Search server endpoint, e.g. http://localhost:3002 (or use --env)')
+    .option('--app-search-private-key <value>', 'App Search private key (or use --env)')
+    .option('--output-dir <value>', 'Directory to write the analytics files to', '.');
+  addAnalyticsOptions(exportAnalyticsCommand)
+    .action(async (engineName, options, command) => {
+      await exportAnalytics(engineName, options);
+    });
+
+  const bulkExportAnalyticsCommand = program.command('bulk-export-analytics')
+    .description('Export the analytics of all matching engines of a cluster, next to a bulk-export')
+    .argument('[engine-filter]', 'Optional substring filter for engine names', '')
+    .option('--from-endpoint <value>', 'Source App Search endpoint (or use --from-env)')
+    .option('--from-key <value>', 'Source App Search private key (or use --from-env)')
+    .option('--output-dir <value>', 'Directory to write the analytics files to', './engines-export');
+  addAnalyticsOptions(bulkExportAnalyticsCommand)
+    .action(async (engineFilter, options, command) => {
+      const results = await bulkExportAnalytics(engineFilter, options);
+      if (results.some(result => result.status === 'failed')) {
+        process.exitCode = 1;
+      }
+    });
+
+  // Every command that talks to App Search shares the environment, retry and throttling options
+  const environmentRoles = {
+    'clone-app-search-engine': ['env', 'targetEnv'],
+    drift: ['fromEnv', 'toEnv'],
+    'bulk-export': ['fromEnv'],
+    'bulk-export-analytics': ['fromEnv'],
+    'bulk-import': ['toEnv']
+  };
+  for (const command of program.commands.filter(command => !['upgrade-engine-json', 'lint', 'list-backups', 'export-to-elasticsearch'].includes(command.name()))) {
+    if (['import-app-search-engine', 'verify'].includes(command.name())) {
+      addSmokeQueryOptions(command);
+      addEnvironmentOptions(command, ['env', 'sourceEnv']);
+    } else {
+      addEnvironmentOptions(command, environmentRoles[command.name()] || ['env']);
+    }
+    addRequestPolicyOptions(command);
+  }
+
   await program.parseAsync(process.argv);
 }
 
 
-main();
+main().catch(err => {
+  console.error('Error:', err && err.message ? err.message : err);
+  process.exit(1);
+});
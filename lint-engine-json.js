@@ -0,0 +1,279 @@
+// lint-engine-json.js
+//
+// Static checks of an engine JSON for settings that are valid JSON but that
+// App Search rejects partway through an import, or that are redundant:
+//
+//   errors    search, result and boost fields missing from the schema, search
+//             fields that are not text, boost types the field type does not
+//             support, ids both promoted and hidden, queries in more than one
+//             curation, crawler entries for unknown domains
+//   warnings  duplicate synonym sets, words, queries, promoted or hidden ids
+//             and crawler entries; these are the ones --fix removes
+//
+// Every problem carries the JSON path it was found at.
+
+const fs = require('fs/promises');
+const { loadEngineJson } = require('./engine-format');
+const { writeEngineDir } = require('./engine-layout');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'geolocation'];
+// Field types each boost type can be used on
+const BOOST_FIELD_TYPES = {
+  value: ['text', 'number', 'date', 'geolocation'],
+  functional: ['number'],
+  proximity: ['number', 'date', 'geolocation']
+};
+const CRAWLER_LISTS = [
+  ['entryPoints', 'entry_points', item => item.value],
+  ['crawlRules', 'crawl_rules', item => [item.policy, item.rule, item.pattern].join('\u0000')],
+  ['sitemaps', 'sitemaps', item => item.url || item.value]
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON path of an object key, quoted when it is not a plain identifier
+function keyPath(parent, key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `${parent}.${key}` : `${parent}["${key}"]`;
+}
+
+// Indexes of the entries whose key was already seen earlier in the list
+function duplicateIndexes(items, keyFn) {
+  const seen = new Set();
+  const duplicates = [];
+  items.forEach((item, i) => {
+    const key = keyFn(item);
+    if (seen.has(key)) duplicates.push(i);
+    else seen.add(key);
+  });
+  return duplicates;
+}
+
+const withoutIndexes = (items, indexes) => items.filter((item, i) => !indexes.includes(i));
+const uniqueStrings = (values) => [...new Set(values)];
+const setKey = (values) => [...values].map(String).sort().join('\u0000');
+
+/* -----------------------
+   Checks
+   ----------------------- */
+
+function lintSchema(schema, problems) {
+  // id always exists and is always text, whether or not the schema lists it
+  const types = Object.assign({ id: 'text' }, schema);
+  for (const [field, type] of Object.entries(schema)) {
+    if (!FIELD_TYPES.includes(type)) {
+      problems.push({ severity: 'error', path: keyPath('$.schema', field), message: `unknown field type "${type}", expected one of ${FIELD_TYPES.join(', ')}` });
+    }
+  }
+  return types;
+}
+
+function lintSearchSettings(searchSettings, types, problems) {
+  const base = '$.searchSettings';
+  const missing = (path, field) =>
+    problems.push({ severity: 'error', path, message: `field "${field}" is not in the schema` });
+
+  for (const field of Object.keys(searchSettings.search_fields || {})) {
+    const path = keyPath(`${base}.search_fields`, field);
+    if (!types[field]) missing(path, field);
+    else if (types[field] !== 'text') {
+      problems.push({ severity: 'error', path, message: `only text fields can be searched, "${field}" is ${types[field]}` });
+    }
+  }
+  for (const field of Object.keys(searchSettings.result_fields || {})) {
+    if (!types[field]) missing(keyPath(`${base}.result_fields`, field), field);
+  }
+  for (const [field, boosts] of Object.entries(searchSettings.boosts || {})) {
+    const fieldPath = keyPath(`${base}.boosts`, field);
+    if (!types[field]) {
+      missing(fieldPath, field);
+      continue;
+    }
+    (Array.isArray(boosts) ? boosts : []).forEach((boost, i) => {
+      const allowed = BOOST_FIELD_TYPES[boost.type];
+      if (!allowed) {
+        problems.push({ severity: 'error', path: `${fieldPath}[${i}].type`, message: `unknown boost type "${boost.type}"` });
+      } else if (!allowed.includes(types[field])) {
+        problems.push({ severity: 'error', path: `${fieldPath}[${i}].type`, message: `${boost.type} boosts work on ${allowed.join(', ')} fields, "${field}" is ${types[field]}` });
+      }
+    });
+  }
+}
+
+function lintSynonyms(synonyms, problems) {
+  synonyms.forEach((set, i) => {
+    const words = set.synonyms || [];
+    if (uniqueStrings(words).length !== words.length) {
+      problems.push({ severity: 'warning', path: `$.synonyms[${i}].synonyms`, message: 'duplicate words', fixable: true });
+    }
+  });
+  for (const i of duplicateIndexes(synonyms, set => setKey(uniqueStrings(set.synonyms || [])))) {
+    problems.push({ severity: 'warning', path: `$.synonyms[${i}]`, message: `duplicate of an earlier synonym set [${(synonyms[i].synonyms || []).join(', ')}]`, fixable: true });
+  }
+}
+
+function lintCurations(curations, problems) {
+  const queryOwners = new Map();
+  curations.forEach((curation, i) => {
+    const path = `$.curations[${i}]`;
+    for (const list of ['queries', 'promoted', 'hidden']) {
+      const values = curation[list] || [];
+      if (uniqueStrings(values).length !== values.length) {
+        problems.push({ severity: 'warning', path: `${path}.${list}`, message: `duplicate ${list === 'queries' ? 'queries' : 'ids'}`, fixable: true });
+      }
+    }
+    const hidden = curation.hidden || [];
+    (curation.promoted || []).forEach((id, j) => {
+      if (hidden.includes(id)) {
+        problems.push({ severity: 'error', path: `${path}.promoted[${j}]`, message: `id "${id}" is both promoted and hidden` });
+      }
+    });
+    uniqueStrings(curation.queries || []).forEach((query, j) => {
+      const normalized = String(query).trim().toLowerCase();
+      if (queryOwners.has(normalized) && queryOwners.get(normalized) !== i) {
+        problems.push({ severity: 'error', path: `${path}.queries[${j}]`, message: `query "${query}" is already curated in $.curations[${queryOwners.get(normalized)}]` });
+      } else {
+        queryOwners.set(normalized, i);
+      }
+    });
+  });
+}
+
+function lintCrawler(crawler, problems) {
+  const domains = Array.isArray(crawler.domains) ? crawler.domains : [];
+  const known = new Set();
+  for (const domain of domains) {
+    for (const key of [domain.id, domain.name, domain.url, domain.domain]) {
+      if (key) known.add(key);
+    }
+  }
+
+  for (const [camel, snake, keyFn] of CRAWLER_LISTS) {
+    const key = crawler[camel] ? camel : snake;
+    const items = Array.isArray(crawler[key]) ? crawler[key] : [];
+    items.forEach((item, i) => {
+      if (!item.domain_id) {
+        problems.push({ severity: 'error', path: `$.crawler.${key}[${i}]`, message: 'no domain_id' });
+      } else if (!known.has(item.domain_id)) {
+        problems.push({ severity: 'error', path: `$.crawler.${key}[${i}].domain_id`, message: `unknown domain "${item.domain_id}"` });
+      }
+    });
+    for (const i of duplicateIndexes(items, item => `${item.domain_id}\u0000${keyFn(item)}`)) {
+      problems.push({ severity: 'warning', path: `$.crawler.${key}[${i}]`, message: 'duplicate of an earlier entry for the same domain', fixable: true });
+    }
+  }
+}
+
+// Returns a list of { severity: 'error' | 'warning', path, message, fixable }
+function lintEngineJson(engineJson) {
+  const problems = [];
+  const isMeta = engineJson.read_only && engineJson.read_only.type === 'meta';
+
+  const types = isPlainObject(engineJson.schema) ? lintSchema(engineJson.schema, problems) : null;
+  // Without a schema (a partial export) field references cannot be checked
+  if (types && isPlainObject(engineJson.searchSettings)) {
+    lintSearchSettings(engineJson.searchSettings, types, problems);
+  }
+  if (Array.isArray(engineJson.synonyms)) lintSynonyms(engineJson.synonyms, problems);
+  if (Array.isArray(engineJson.curations)) lintCurations(engineJson.curations, problems);
+  if (isPlainObject(engineJson.crawler) && !isMeta) lintCrawler(engineJson.crawler, problems);
+  return problems;
+}
+
+/* -----------------------
+   Fixes
+   ----------------------- */
+
+// Returns { engineJson, fixes }: a copy without the duplicates lintEngineJson
+// reports as fixable, and a description of each change
+function fixEngineJson(engineJson) {
+  const result = JSON.parse(JSON.stringify(engineJson));
+  const fixes = [];
+
+  if (Array.isArray(result.synonyms)) {
+    result.synonyms.forEach((set, i) => {
+      const words = set.synonyms || [];
+      if (uniqueStrings(words).length !== words.length) {
+        set.synonyms = uniqueStrings(words);
+        fixes.push(`$.synonyms[${i}].synonyms: removed duplicate words`);
+      }
+    });
+    const duplicates = duplicateIndexes(result.synonyms, set => setKey(set.synonyms || []));
+    duplicates.forEach(i => fixes.push(`$.synonyms[${i}]: removed duplicate synonym set`));
+    result.synonyms = withoutIndexes(result.synonyms, duplicates);
+  }
+
+  if (Array.isArray(result.curations)) {
+    result.curations.forEach((curation, i) => {
+      for (const list of ['queries', 'promoted', 'hidden']) {
+        const values = curation[list];
+        if (Array.isArray(values) && uniqueStrings(values).length !== values.length) {
+          curation[list] = uniqueStrings(values);
+          fixes.push(`$.curations[${i}].${list}: removed duplicates`);
+        }
+      }
+    });
+  }
+
+  if (isPlainObject(result.crawler)) {
+    for (const [camel, snake, keyFn] of CRAWLER_LISTS) {
+      const key = result.crawler[camel] ? camel : snake;
+      if (!Array.isArray(result.crawler[key])) continue;
+      const duplicates = duplicateIndexes(result.crawler[key], item => `${item.domain_id}\u0000${keyFn(item)}`);
+      duplicates.forEach(i => fixes.push(`$.crawler.${key}[${i}]: removed duplicate entry`));
+      result.crawler[key] = withoutIndexes(result.crawler[key], duplicates);
+    }
+  }
+
+  return { engineJson: result, fixes };
+}
+
+/* -----------------------
+   Files
+   ----------------------- */
+
+function printProblems(problems) {
+  for (const problem of problems) {
+    const label = problem.severity === 'error' ? 'ERROR  ' : 'warning';
+    console.log(`  ${label} ${problem.path}: ${problem.message}${problem.fixable ? ' (fixable with --fix)' : ''}`);
+  }
+}
+
+// Lints an engine JSON file, or a directory written by --output-dir. With
+// options.fix the fixable problems are removed and the result is written to
+// options.outputJson, or back to the input. Resolves to
+// { problems, fixes, errors, warnings } for what is left after fixing.
+async function lintEngineFile(inputPath, options = {}) {
+  const isDir = (await fs.stat(inputPath)).isDirectory();
+  let engineJson = await loadEngineJson(isDir ? { inputDir: inputPath } : { inputJson: inputPath });
+  console.log(`Linting ${inputPath}`);
+
+  let fixes = [];
+  if (options.fix) {
+    ({ engineJson, fixes } = fixEngineJson(engineJson));
+    fixes.forEach(fix => console.log(`  fixed ${fix}`));
+    if (fixes.length) {
+      const outputPath = options.outputJson || inputPath;
+      console.log(`Writing fixed engine JSON to ${outputPath}`);
+      if (isDir && !options.outputJson) {
+        await writeEngineDir(inputPath, engineJson);
+      } else {
+        await fs.writeFile(outputPath, JSON.stringify(engineJson, undefined, 2));
+      }
+    }
+  }
+
+  const problems = lintEngineJson(engineJson);
+  printProblems(problems);
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  const warnings = problems.length - errors;
+  console.log(problems.length ? `${errors} error(s), ${warnings} warning(s).` : 'No problems found.');
+  return { problems, fixes, errors, warnings };
+}
+
+module.exports = {
+  lintEngineJson,
+  fixEngineJson,
+  lintEngineFile
+};
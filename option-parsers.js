@@ -0,0 +1,17 @@
+// option-parsers.js
+//
+// Argument parsers for commander options used by more than one command.
+
+const { InvalidArgumentError } = require('commander');
+
+function parsePositiveInt(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new InvalidArgumentError('Must be a whole number >= 1.');
+  }
+  return parsed;
+}
+
+module.exports = {
+  parsePositiveInt
+};
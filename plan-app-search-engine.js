@@ -0,0 +1,144 @@
+const {
+  exportSchema,
+  exportSynonyms,
+  exportCurations,
+  exportSearchSettings,
+  exportCrawlerConfigViaRest
+} = require('./export-app-search-engine');
+const { exportEngineSettings } = require('./engine-settings');
+const { engineExists } = require('./import-app-search-engine');
+const { diffEngine, countChanges } = require('./diff-app-search-engine');
+const { loadEngineJson } = require('./engine-format');
+const { createClient } = require('./request-policy');
+const { applyTransform } = require('./transform-rules');
+
+// Prints what importing the input JSON would change on the live engine.
+// Resolves to the number of changes so the CLI can set a nonzero exit code.
+async function planAppSearchEngine(engineName, options) {
+  console.log(`Planning import of ${options.inputDir || options.inputJson || 'engine JSON'} into ${engineName}, host: ${options.appSearchEndpoint}`);
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+
+  const engineJson = await applyTransform(await loadEngineJson(options), options.transform);
+
+  const exists = await engineExists(client, engineName);
+  const live = exists
+    ? await fetchLiveEngine(client, engineName, engineJson, options)
+    : { schema: {}, synonyms: [], curations: [], searchSettings: {}, engineSettings: {}, crawler: {} };
+
+  const diff = diffEngine(engineJson, live, Object.assign({}, options, { newEngine: !exists }));
+  const changes = countChanges(diff);
+
+  console.log('');
+  console.log(`Plan for engine ${engineName}:`);
+  if (!exists) {
+    console.log(`  + engine ${engineName} will be created`);
+  }
+  for (const line of formatPlan(diff)) {
+    console.log(line);
+  }
+  console.log('');
+  console.log(changes ? `Plan: ${changes} change(s).` : 'No changes. The engine matches the input JSON.');
+
+  return changes;
+}
+
+async function fetchLiveEngine(client, engineName, engineJson, options) {
+  const live = {
+    schema: await exportSchema(client, engineName),
+    synonyms: await exportSynonyms(client, engineName),
+    curations: await exportCurations(client, engineName),
+    searchSettings: await exportSearchSettings(client, engineName)
+  };
+  if (engineJson.engineSettings) {
+    live.engineSettings = await exportEngineSettings(engineName, options);
+  }
+  if (engineJson.crawler) {
+    live.crawler = await exportCrawlerConfigViaRest(engineName, options);
+  }
+  return live;
+}
+
+/* -----------------------
+   Output formatting
+   ----------------------- */
+
+function formatList(values) {
+  return `[${(values || []).join(', ')}]`;
+}
+
+function formatCuration(curation) {
+  return `${formatList(curation.queries)} promoted ${formatList(curation.promoted)} hidden ${formatList(curation.hidden)}`;
+}
+
+function formatPlan(diff) {
+  const lines = [];
+  const section = (name, sectionLines) => {
+    lines.push(`${name}:`);
+    lines.push(...(sectionLines.length ? sectionLines : ['    (no changes)']));
+  };
+
+  if (diff.schema) {
+    section('  schema', [
+      ...Object.entries(diff.schema.added).map(([field, type]) => `    + ${field} (${type})`),
+      ...diff.schema.retyped.map(({ field, from, to }) => `    ~ ${field}: ${from} -> ${to}`),
+      ...diff.schema.liveOnly.map(field => `    ! ${field} only exists on the engine (kept)`)
+    ]);
+  }
+
+  for (const [name, format] of [['synonyms', s => formatList(s.synonyms)], ['curations', formatCuration]]) {
+    if (!diff[name]) continue;
+    section(`  ${name}`, [
+      ...diff[name].added.map(entry => `    + ${format(entry)}`),
+      ...diff[name].changed.map(({ desired, live }) => `    ~ ${format(live)} -> ${format(desired)}`),
+      ...diff[name].removed.map(entry => `    - ${format(entry)}`)
+    ]);
+  }
+
+  if (diff.searchSettings) {
+    const settingLines = [];
+    for (const [key, value] of Object.entries(diff.searchSettings)) {
+      if (!value.added) {
+        settingLines.push(`    ~ ${key}: ${value.from} -> ${value.to}`);
+        continue;
+      }
+      const format = key === 'search_fields'
+        ? v => `weight ${v && v.weight !== undefined ? v.weight : 1}`
+        : v => JSON.stringify(v);
+      settingLines.push(
+        ...value.added.map(({ field, to }) => `    + ${key}.${field}: ${format(to)}`),
+        ...value.changed.map(({ field, from, to }) => `    ~ ${key}.${field}: ${format(from)} -> ${format(to)}`),
+        ...value.removed.map(({ field, from }) => `    - ${key}.${field}: ${format(from)}`)
+      );
+    }
+    section('  searchSettings', settingLines);
+  }
+
+  if (diff.engineSettings) {
+    const format = (value) => (value === undefined ? '(not set)' : JSON.stringify(value));
+    section('  engineSettings', [
+      ...diff.engineSettings.changed.map(({ setting, from, to }) => `    ~ ${setting}: ${format(from)} -> ${format(to)}`),
+      ...diff.engineSettings.unsupported.map(part => `    ! ${part}: not supported by the cluster, skipped`),
+      ...diff.engineSettings.notes.map(note => `    ! ${note}`)
+    ]);
+  }
+
+  if (diff.crawler) {
+    const crawlerLines = [];
+    for (const [name, { added, removed }] of Object.entries(diff.crawler)) {
+      crawlerLines.push(
+        ...added.map(key => `    + ${name}: ${key}`),
+        ...removed.map(key => `    - ${name}: ${key}`)
+      );
+    }
+    section('  crawler', crawlerLines);
+  }
+
+  if (diff.notes) {
+    section('  not changed by an import', diff.notes.map(note => `    ! ${note}`));
+  }
+
+  return lines;
+}
+
+module.exports = planAppSearchEngine;
+module.exports.formatPlan = formatPlan;
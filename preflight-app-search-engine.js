@@ -0,0 +1,309 @@
+// preflight-app-search-engine.js
+//
+// Checks that an engine JSON can be imported into the target cluster before
+// anything is created or deleted, and reports every problem at once:
+//
+//   version      Enterprise Search version of the target
+//   license      the Elasticsearch license, read with --es-endpoint and its
+//                credentials; a warning when it cannot be read
+//   crawler      whether the crawler API answers, when the input has domains
+//   engine name  valid, and free or replaced/updated as the options say
+//   field limit  schema fields against the engine field limit: an error
+//                above --field-limit, a warning above the default of 64
+//                (the deployment may have raised it)
+//   field names  invalid or reserved schema field names
+//   language     supported by App Search, and unchanged on an existing engine
+//
+// Problems are errors (the import would fail) or warnings (it would succeed
+// with something missing or different).
+
+const fs = require('fs/promises');
+const { exportSchema } = require('./export-app-search-engine');
+const { loadEngineJson } = require('./engine-format');
+const { applyTransform } = require('./transform-rules');
+const { hasSectionSelection, pickSections } = require('./engine-sections');
+const { createClient, fetchWithRetry } = require('./request-policy');
+const { authorizationFor } = require('./export-to-elasticsearch');
+const { parsePositiveInt } = require('./option-parsers');
+const { PreflightError, toApiError } = require('./errors');
+
+// app_search.engine.total_fields.limit, unless the deployment raised it
+const DEFAULT_FIELD_LIMIT = 64;
+const MIN_TESTED_VERSION = [7, 17];
+
+const ENGINE_NAME_PATTERN = /^[a-z0-9-]+$/;
+const FIELD_NAME_PATTERN = /^[a-z0-9_]+$/;
+const MAX_NAME_LENGTH = 64;
+const RESERVED_FIELDS = ['external_id', 'engine_id', 'highlight', 'or', 'and', 'not', 'any', 'all', 'none'];
+// null is the Universal language
+const LANGUAGES = ['da', 'de', 'en', 'es', 'fr', 'it', 'ja', 'ko', 'nl', 'pt', 'pt-br', 'ru', 'th', 'zh'];
+
+/* -----------------------
+   Cluster checks
+   ----------------------- */
+
+async function readVersion(client) {
+  try {
+    return (await client.enterprise.getVersion()).number;
+  } catch (err) {
+    try {
+      return (await client.enterprise.getHealth()).version.number;
+    } catch (healthErr) {
+      return null;
+    }
+  }
+}
+
+function checkVersion(version) {
+  if (!version) {
+    return { name: 'version', status: 'warning', message: 'Could not read the Enterprise Search version, the key may not have access to it' };
+  }
+  const [major, minor] = version.split('.').map(Number);
+  const [minMajor, minMinor] = MIN_TESTED_VERSION;
+  if (major < minMajor || (major === minMajor && minor < minMinor)) {
+    return { name: 'version', status: 'warning', message: `Enterprise Search ${version} is older than ${minMajor}.${minMinor}, imports are untested` };
+  }
+  return { name: 'version', status: 'ok', message: `Enterprise Search ${version}` };
+}
+
+// The license belongs to Elasticsearch, App Search keys cannot read it.
+// Resolves to { license } or { problem } when it could not be read.
+async function readLicense(options) {
+  if (!options.esEndpoint) {
+    return { problem: 'not checked, pass --es-endpoint with --es-api-key (or --es-username/--es-password) to read the Elasticsearch license' };
+  }
+  const authorization = authorizationFor(options);
+  const resp = await fetchWithRetry(`${options.esEndpoint.replace(/\/$/, '')}/_license`, {
+    headers: authorization ? { Authorization: authorization } : {}
+  });
+  if (resp.status === 401 || resp.status === 403) {
+    return { problem: `the Elasticsearch credentials cannot read the license (status ${resp.status})` };
+  }
+  if (!resp.ok) {
+    return { problem: `could not read the license from ${options.esEndpoint} (status ${resp.status})` };
+  }
+  return { license: (await resp.json()).license };
+}
+
+function checkLicense({ license, problem }) {
+  if (!license) {
+    return { name: 'license', status: 'warning', message: problem };
+  }
+  if (license.status !== 'active') {
+    return { name: 'license', status: 'error', message: `the ${license.type} license is ${license.status}` };
+  }
+  return { name: 'license', status: 'ok', message: `${license.type} license, active` };
+}
+
+// The crawler API lives under an engine, so it is probed on the target
+// engine if it exists, otherwise on any default engine of the cluster
+async function probeCrawler(client, options, engineName) {
+  let probeEngine = engineName;
+  if (!probeEngine) {
+    const resp = await client.app.listEngines({ page: { current: 1, size: 25 } });
+    const engine = (resp.results || []).find(e => e.type !== 'meta');
+    if (!engine) return null;
+    probeEngine = engine.name;
+  }
+  const url = options.appSearchEndpoint.replace(/\/$/, '') +
+    `/api/as/v1/engines/${encodeURIComponent(probeEngine)}/crawler`;
+  const resp = await fetchWithRetry(url, { headers: { Authorization: `Bearer ${options.appSearchPrivateKey}` } });
+  if (resp.status === 404) return false;
+  return resp.ok ? true : null;
+}
+
+// Reads what every engine check shares; resolves to { version, license,
+// crawler }, crawler is null when it could not be checked
+async function checkCluster(client, options, existingEngineName) {
+  const version = await readVersion(client);
+  const license = await readLicense(options).catch(err => ({ problem: `could not read the license: ${err.message}` }));
+  const crawler = await probeCrawler(client, options, existingEngineName).catch(() => null);
+  return { version, license, crawler };
+}
+
+/* -----------------------
+   Engine checks
+   ----------------------- */
+
+async function getEngineOrNull(client, engineName) {
+  try {
+    return await client.app.getEngine({ engine_name: engineName });
+  } catch (err) {
+    if (err.statusCode === 404 || (err.message && err.message.includes('not found'))) return null;
+    throw toApiError(err, 'preflight', engineName);
+  }
+}
+
+function checkEngineName(engineName, existingEngine, options) {
+  if (!ENGINE_NAME_PATTERN.test(engineName) || engineName.length > MAX_NAME_LENGTH) {
+    return { name: 'engine name', status: 'error', message: `"${engineName}" is not a valid engine name (lowercase letters, numbers and hyphens, at most ${MAX_NAME_LENGTH} characters)` };
+  }
+  if (!existingEngine) {
+    return { name: 'engine name', status: 'ok', message: `${engineName} does not exist yet and will be created` };
+  }
+  if (options.update || (hasSectionSelection(options) && !options.force)) {
+    return { name: 'engine name', status: 'ok', message: `${engineName} exists and will be updated in place` };
+  }
+  if (options.force) {
+    return { name: 'engine name', status: 'warning', message: `${engineName} exists and will be deleted and re-created (--force)` };
+  }
+  return { name: 'engine name', status: 'error', message: `${engineName} already exists, use --force to replace it or --update to reconcile it in place` };
+}
+
+function checkFieldNames(schema) {
+  const problems = [];
+  for (const [field, type] of Object.entries(schema)) {
+    if (RESERVED_FIELDS.includes(field)) {
+      problems.push(`${field} is reserved`);
+    } else if (field.startsWith('_')) {
+      problems.push(`${field} starts with an underscore`);
+    } else if (!FIELD_NAME_PATTERN.test(field)) {
+      problems.push(`${field} may only contain lowercase letters, numbers and underscores`);
+    } else if (field.length > MAX_NAME_LENGTH) {
+      problems.push(`${field} is longer than ${MAX_NAME_LENGTH} characters`);
+    } else if (field === 'id' && type !== 'text') {
+      problems.push(`id is always a text field, not ${type}`);
+    }
+  }
+  return problems.length
+    ? { name: 'field names', status: 'error', message: problems.join('; ') }
+    : { name: 'field names', status: 'ok', message: `${Object.keys(schema).length} field name(s) valid` };
+}
+
+// Without a given limit only the default is known, and deployments with more
+// fields usually raised it, so going over it is a warning
+function checkFieldLimit(schema, liveSchema, givenLimit) {
+  const fieldLimit = givenLimit || DEFAULT_FIELD_LIMIT;
+  const fields = new Set([...Object.keys(liveSchema || {}), ...Object.keys(schema)]);
+  const where = liveSchema ? 'on the engine after the import' : 'in the schema';
+  if (fields.size > fieldLimit && givenLimit) {
+    return { name: 'field limit', status: 'error', message: `${fields.size} fields ${where}, more than the limit of ${fieldLimit} (raise app_search.engine.total_fields.limit and pass --field-limit)` };
+  }
+  if (fields.size > fieldLimit) {
+    return { name: 'field limit', status: 'warning', message: `${fields.size} fields ${where}, more than the default limit of ${fieldLimit}; the import fails unless app_search.engine.total_fields.limit was raised (pass --field-limit to check against it)` };
+  }
+  return { name: 'field limit', status: 'ok', message: `${fields.size} of ${fieldLimit} fields ${where}` };
+}
+
+function checkLanguage(language, existingEngine, inPlace) {
+  if (language && !LANGUAGES.includes(language)) {
+    return { name: 'language', status: 'error', message: `"${language}" is not supported, use one of ${LANGUAGES.join(', ')} or null (Universal)` };
+  }
+  if (inPlace && (existingEngine.language || null) !== (language || null)) {
+    return { name: 'language', status: 'warning', message: `the engine's language ${existingEngine.language || 'Universal'} cannot be changed in place to ${language || 'Universal'}` };
+  }
+  return { name: 'language', status: 'ok', message: language || 'Universal' };
+}
+
+function checkCrawler(crawler, cluster, isMeta) {
+  const domains = (crawler && crawler.domains) || [];
+  if (isMeta || !domains.length) {
+    return { name: 'crawler', status: 'skipped', message: 'no crawler domains in the input' };
+  }
+  if (cluster.crawler === false) {
+    return { name: 'crawler', status: 'warning', message: `the crawler API is not available, ${domains.length} crawler domain(s) will not be imported` };
+  }
+  if (cluster.crawler === null) {
+    return { name: 'crawler', status: 'warning', message: 'could not check whether the crawler API is available' };
+  }
+  return { name: 'crawler', status: 'ok', message: `crawler API available for ${domains.length} domain(s)` };
+}
+
+// Resolves to the report of one engine: { engine, ok, checks: [{ name, status, message }] }
+async function checkEngine(client, engineName, engineJson, options, cluster) {
+  const existingEngine = await getEngineOrNull(client, engineName);
+  const inPlace = Boolean(existingEngine) && (options.update || (hasSectionSelection(options) && !options.force));
+  const isMeta = engineJson.read_only?.type === 'meta';
+
+  const checks = [
+    checkVersion(cluster.version),
+    checkLicense(cluster.license),
+    checkCrawler(engineJson.crawler, cluster, isMeta),
+    checkEngineName(engineName, existingEngine, options)
+  ];
+  if (isMeta || !engineJson.schema) {
+    checks.push({ name: 'field limit', status: 'skipped', message: isMeta ? 'meta engine' : 'no schema in the input' });
+  } else {
+    const liveSchema = inPlace ? await exportSchema(client, engineName) : null;
+    checks.push(checkFieldLimit(engineJson.schema, liveSchema, options.fieldLimit));
+    checks.push(checkFieldNames(engineJson.schema));
+  }
+  checks.push(checkLanguage(engineJson.read_only?.language || null, existingEngine, inPlace));
+
+  return { engine: engineName, ok: !checks.some(check => check.status === 'error'), checks };
+}
+
+/* -----------------------
+   Preflight
+   ----------------------- */
+
+const STATUS_LABELS = { ok: 'ok', warning: 'WARNING', error: 'ERROR', skipped: 'skipped' };
+
+function printReport(report) {
+  console.log(`Preflight for engine ${report.engine}:`);
+  for (const check of report.checks) {
+    console.log(`  [${STATUS_LABELS[check.status]}] ${check.name}: ${check.message}`);
+  }
+}
+
+// Checks a list of { engineName, engineJson } against one cluster and throws
+// a PreflightError listing every engine with errors. Resolves to the reports.
+async function preflightEngines(client, entries, options) {
+  const cluster = await checkCluster(client, options, null);
+  const reports = [];
+  for (const { engineName, engineJson } of entries) {
+    reports.push(await checkEngine(client, engineName, engineJson, options, cluster));
+  }
+  reports.forEach(printReport);
+
+  const failed = reports.filter(report => !report.ok);
+  if (failed.length) {
+    const lines = failed.flatMap(report => report.checks
+      .filter(check => check.status === 'error')
+      .map(check => `  ${report.engine}: ${check.name}: ${check.message}`));
+    throw new PreflightError(`Preflight failed for ${failed.length} engine(s), nothing was changed:\n${lines.join('\n')}`, { reports });
+  }
+  return reports;
+}
+
+// Options: appSearchEndpoint/appSearchPrivateKey, the input (engineJson,
+// inputJson or inputDir, plus transform, only and skip), force, update,
+// fieldLimit and outputJson. Resolves to the report; report.ok is false when
+// a check failed.
+async function preflightAppSearchEngine(engineName, options) {
+  console.log(`Preflight for import into ${engineName}, host: ${options.appSearchEndpoint}`);
+  const client = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+  const engineJson = pickSections(await applyTransform(await loadEngineJson(options), options.transform), options);
+
+  const cluster = await checkCluster(client, options, (await getEngineOrNull(client, engineName)) ? engineName : null);
+  const report = await checkEngine(client, engineName, engineJson, options, cluster);
+  printReport(report);
+  console.log(report.ok ? 'Preflight passed.' : 'Preflight failed.');
+
+  if (options.outputJson) {
+    console.log(`Writing preflight report to file ${options.outputJson}`);
+    await fs.writeFile(options.outputJson, JSON.stringify(report, undefined, 2));
+  }
+  return report;
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+// Options shared by the preflight command, import and the bulk commands
+function addPreflightOptions(command, { optOut = true } = {}) {
+  command.option('--field-limit <n>', `Engine field limit of the target (app_search.engine.total_fields.limit); without it, more than ${DEFAULT_FIELD_LIMIT} fields is only a warning`, parsePositiveInt)
+    .option('--es-endpoint <value>', 'Elasticsearch endpoint of the target deployment, to check its license')
+    .option('--es-api-key <value>', 'Elasticsearch API key (encoded) for reading the license')
+    .option('--es-username <value>', 'Elasticsearch user for reading the license, instead of an API key')
+    .option('--es-password <value>', 'Password of --es-username');
+  if (optOut) {
+    command.option('--no-preflight', 'Import without running the preflight checks first');
+  }
+  return command;
+}
+
+module.exports = preflightAppSearchEngine;
+module.exports.preflightEngines = preflightEngines;
+module.exports.addPreflightOptions = addPreflightOptions;
@@ -0,0 +1,32 @@
+// progress.js
+//
+// Progress events for library callers. Pass an EventEmitter as
+// options.events and listen for 'progress':
+//
+//   { operation: 'export' | 'import', engine, section, status, error }
+//
+// status is 'start', 'done' or 'failed' (with error set). The 'done' event of
+// an import's crawler section also has report: { migrated, notMigrated }.
+
+const { toApiError } = require('./errors');
+
+function emitProgress(events, event) {
+  if (events) events.emit('progress', event);
+}
+
+// Runs fn as one section of an operation, emitting start/done/failed events.
+// Failures are rethrown as ApiErrors that name the section.
+async function trackSection(events, operation, engine, section, fn) {
+  emitProgress(events, { operation, engine, section, status: 'start' });
+  try {
+    const result = await fn();
+    emitProgress(events, { operation, engine, section, status: 'done' });
+    return result;
+  } catch (err) {
+    const error = toApiError(err, section, engine);
+    emitProgress(events, { operation, engine, section, status: 'failed', error });
+    throw error;
+  }
+}
+
+module.exports = { emitProgress, trackSection };
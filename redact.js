@@ -0,0 +1,38 @@
+// redact.js
+//
+// Keeps private keys out of log output. The CLI registers every key it uses
+// with addSecret and installs the console wrapper, which replaces the keys in
+// everything written through console.log/info/warn/error/dir.
+
+const util = require('util');
+
+const REDACTED = '[REDACTED]';
+const secrets = new Set();
+
+function addSecret(secret) {
+  // Very short values would redact unrelated text
+  if (typeof secret === 'string' && secret.length >= 4) secrets.add(secret);
+}
+
+function redact(text) {
+  let result = String(text);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+let installed = false;
+
+function installConsoleRedaction() {
+  if (installed) return;
+  installed = true;
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redact(util.format(...args)));
+  }
+  const originalLog = console.log;
+  console.dir = (value, options) => originalLog(util.inspect(value, Object.assign({ colors: false }, options)));
+}
+
+module.exports = { addSecret, redact, installConsoleRedaction };
@@ -0,0 +1,220 @@
+// request-policy.js
+//
+// The one place where App Search requests are retried and throttled. SDK
+// clients come from createClient and REST calls go through fetchWithRetry,
+// so every call shares the same retry policy and the same --max-rps budget.
+
+const https = require('https');
+const { Client } = require('@elastic/enterprise-search');
+const { CloudConnectionPool, UndiciConnection } = require('@elastic/transport');
+const { InvalidArgumentError } = require('commander');
+
+const DEFAULT_POLICY = {
+  maxRetries: 5,
+  retryBaseDelay: 500,
+  retryMaxDelay: 30000,
+  maxRps: 0
+};
+
+// Statuses worth retrying: timeouts, rate limiting and gateway errors
+const TRANSIENT_STATUSES = [408, 429, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+const TRANSIENT_ERROR_NAMES = ['ConnectionError', 'TimeoutError', 'FetchError'];
+// Failures after which the request cannot have been applied: turned away by
+// the server, or no connection was made. The only ones a request that creates
+// something on every send (a POST) is retried on, so a resend after a timeout
+// cannot create a second synonym set or curation.
+const UNAPPLIED_STATUSES = [429, 503];
+const UNAPPLIED_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+// client.app methods that create something on every send
+const NON_IDEMPOTENT_METHODS = /^(create|add)[A-Z]|^(logClickthrough|refreshAdaptiveRelevanceUpdateProcess)$/;
+
+let policy = Object.assign({}, DEFAULT_POLICY);
+let nextSlot = 0;
+// TLS options (ca, cert, key, rejectUnauthorized) and an https.Agent using
+// them, per endpoint origin
+const tlsByOrigin = new Map();
+
+function configureRequestPolicy(overrides = {}) {
+  for (const key of Object.keys(DEFAULT_POLICY)) {
+    if (overrides[key] !== undefined) policy[key] = overrides[key];
+  }
+  return Object.assign({}, policy);
+}
+
+// Uses the TLS options for every SDK and REST request to the endpoint
+function configureTls(endpoint, tls) {
+  tlsByOrigin.set(new URL(endpoint).origin, { options: tls, agent: new https.Agent(tls) });
+}
+
+function tlsFor(url) {
+  return tlsByOrigin.get(new URL(url).origin) || null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Spaces request starts at least 1/maxRps seconds apart, across all callers
+async function throttle() {
+  if (!policy.maxRps) return;
+  const interval = 1000 / policy.maxRps;
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot);
+  nextSlot = slot + interval;
+  if (slot > now) await sleep(slot - now);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter, unless the server said how long to wait
+function retryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) return retryAfterMs;
+  const ceiling = Math.min(policy.retryMaxDelay, policy.retryBaseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function isTransientError(err, idempotent) {
+  if (!err) return false;
+  const status = err.statusCode || (err.meta && err.meta.statusCode);
+  if (status) return (idempotent ? TRANSIENT_STATUSES : UNAPPLIED_STATUSES).includes(status);
+  // The SDK's ConnectionError carries the code only in its message
+  const code = err.code || (err.cause && err.cause.code) ||
+    ((String(err.message).match(/\b(E[A-Z]+|UND_ERR_[A-Z_]+)\b/) || [])[1]);
+  if (!idempotent) return UNAPPLIED_ERROR_CODES.includes(code);
+  return TRANSIENT_ERROR_CODES.includes(code) || TRANSIENT_ERROR_NAMES.includes(err.name);
+}
+
+// Documents without an id get a new one on every send
+function isIdempotentCall(method, params) {
+  if (method === 'indexDocuments') {
+    return ((params && params.documents) || []).every(document => document && document.id !== undefined && document.id !== null);
+  }
+  return !NON_IDEMPOTENT_METHODS.test(method);
+}
+
+function retryAfterOf(err) {
+  const headers = err && err.meta && err.meta.headers;
+  return parseRetryAfter(headers && (headers['retry-after'] || headers['Retry-After']));
+}
+
+// Runs fn (which returns a promise) and retries it on transient failures.
+// With idempotent: false only failures that cannot have been applied are
+// retried.
+async function withRetry(label, fn, { idempotent = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await throttle();
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= policy.maxRetries || !isTransientError(err, idempotent)) throw err;
+      const delay = retryDelay(attempt, retryAfterOf(err));
+      console.warn(`${label} failed (${err.statusCode || err.code || err.name}), retry ${attempt + 1}/${policy.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/* -----------------------
+   SDK client
+   ----------------------- */
+
+// An App Search client whose client.app.* calls go through withRetry, the
+// ones that create something as non-idempotent. The transport's own immediate
+// retries are turned off so backoff applies.
+function createClient(url, token) {
+  const tls = tlsFor(url);
+  let client;
+  if (tls) {
+    // The SDK has no TLS option, so it gets a connection pool with ours
+    const connectionPool = new CloudConnectionPool({
+      Connection: UndiciConnection,
+      tls: Object.assign({ secureProtocol: 'TLSv1_2_method' }, tls.options)
+    });
+    connectionPool.addConnection(url);
+    client = new Client({ url, auth: { token } }, { connectionPool });
+  } else {
+    client = new Client({ url, auth: { token } });
+  }
+  const app = client.app;
+  const retryingApp = new Proxy(app, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function' || prop === 'constructor') return value;
+      return (params, options) => withRetry(`${String(prop)}`, () =>
+        value.call(target, params, Object.assign({ maxRetries: 0 }, options)), { idempotent: isIdempotentCall(String(prop), params) });
+    }
+  });
+  Object.defineProperty(client, 'app', { value: retryingApp });
+  return client;
+}
+
+/* -----------------------
+   REST
+   ----------------------- */
+
+// fetch() with the shared retry policy. Transient statuses are retried and
+// Retry-After is honored; once retries run out the last response is returned
+// so callers handle it like any other non-OK response. A POST is treated as
+// non-idempotent, GET, PUT and DELETE as idempotent.
+async function fetchWithRetry(url, init) {
+  const tls = tlsFor(url);
+  // node-fetch takes an https.Agent, which is how the TLS options get in
+  const _fetch = tls ? require('node-fetch') : (global.fetch || require('node-fetch'));
+  if (tls) init = Object.assign({}, init, { agent: tls.agent });
+  const method = ((init && init.method) || 'GET').toUpperCase();
+  const label = `${method} ${url}`;
+
+  try {
+    return await withRetry(label, async () => {
+      const resp = await _fetch(url, init);
+      if (TRANSIENT_STATUSES.includes(resp.status)) {
+        const err = new Error(`${resp.status} ${resp.statusText}`);
+        err.statusCode = resp.status;
+        err.meta = { statusCode: resp.status, headers: { 'retry-after': resp.headers.get('retry-after') } };
+        err.response = resp;
+        throw err;
+      }
+      return resp;
+    }, { idempotent: method !== 'POST' });
+  } catch (err) {
+    if (err.response) return err.response;
+    throw err;
+  }
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+function parseNonNegativeNumber(value) {
+  const parsed = Number(value);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new InvalidArgumentError('Must be a number >= 0.');
+  }
+  return parsed;
+}
+
+function addRequestPolicyOptions(command) {
+  return command
+    .option('--max-retries <n>', 'Retries for transient failures (429, 502, 503, 504, connection errors)', parseNonNegativeNumber, DEFAULT_POLICY.maxRetries)
+    .option('--retry-base-delay <ms>', 'Base delay for exponential backoff between retries', parseNonNegativeNumber, DEFAULT_POLICY.retryBaseDelay)
+    .option('--retry-max-delay <ms>', 'Maximum delay between retries', parseNonNegativeNumber, DEFAULT_POLICY.retryMaxDelay)
+    .option('--max-rps <n>', 'Maximum requests per second sent to App Search (0 = unlimited)', parseNonNegativeNumber, DEFAULT_POLICY.maxRps);
+}
+
+module.exports = {
+  configureRequestPolicy,
+  configureTls,
+  createClient,
+  withRetry,
+  fetchWithRetry,
+  isTransientError,
+  isIdempotentCall,
+  addRequestPolicyOptions
+};
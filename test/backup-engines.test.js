@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planRetention, parsePointInTime } = require('../backup-engines');
+const { EntsporterError } = require('../errors');
+
+// Newest first, like listSnapshots
+const snapshots = [
+  '2024-05-15T20:00:00Z', // Wednesday
+  '2024-05-15T08:00:00Z',
+  '2024-05-14T20:00:00Z',
+  '2024-05-13T10:00:00Z', // Monday
+  '2024-05-12T10:00:00Z', // Sunday, the week before
+  '2024-05-05T10:00:00Z',
+  '2024-04-28T10:00:00Z',
+  '2024-04-21T10:00:00Z'
+].map(time => ({ name: time, time: new Date(time) }));
+
+test('keeps the newest snapshot of each of the last days and weeks', () => {
+  const { keep, prune } = planRetention(snapshots, { keepDaily: 2, keepWeekly: 3 });
+  assert.deepStrictEqual(keep.map(snapshot => [snapshot.name, snapshot.reasons]), [
+    ['2024-05-15T20:00:00Z', ['latest', 'daily', 'weekly']],
+    ['2024-05-14T20:00:00Z', ['daily']],
+    ['2024-05-12T10:00:00Z', ['weekly']],
+    ['2024-05-05T10:00:00Z', ['weekly']]
+  ]);
+  assert.deepStrictEqual(prune.map(snapshot => snapshot.name),
+    ['2024-05-15T08:00:00Z', '2024-05-13T10:00:00Z', '2024-04-28T10:00:00Z', '2024-04-21T10:00:00Z']);
+});
+
+test('always keeps the newest snapshot', () => {
+  const { keep, prune } = planRetention(snapshots, { keepDaily: 0, keepWeekly: 0 });
+  assert.deepStrictEqual(keep.map(snapshot => [snapshot.name, snapshot.reasons]), [['2024-05-15T20:00:00Z', ['latest']]]);
+  assert.strictEqual(prune.length, snapshots.length - 1);
+});
+
+test('counts the days that have snapshots, 7 by default', () => {
+  const { prune } = planRetention(snapshots);
+  assert.deepStrictEqual(prune.map(snapshot => snapshot.name), ['2024-05-15T08:00:00Z']);
+});
+
+test('reads --at as a snapshot name, a date/time or the end of a date', () => {
+  assert.strictEqual(parsePointInTime('2024-05-01T12-30-00-000Z').toISOString(), '2024-05-01T12:30:00.000Z');
+  assert.strictEqual(parsePointInTime('2024-05-01T12:00:00Z').toISOString(), '2024-05-01T12:00:00.000Z');
+  assert.strictEqual(parsePointInTime('2024-05-01').toISOString(), '2024-05-01T23:59:59.999Z');
+  assert.throws(() => parsePointInTime('yesterday'), EntsporterError);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MANIFEST_FILE, readManifest, checkManifestFiles } = require('../bulk-directory');
+const { ValidationError } = require('../errors');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bulk-directory-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('finds no problems when every file matches its checksum', async (t) => {
+  const dir = await tempDir(t);
+  await fs.writeFile(path.join(dir, 'parks.json'), '{"name":"parks"}');
+  await fs.writeFile(path.join(dir, 'parks.documents.ndjson'), '{"id":"1"}\n');
+  const engines = [{
+    name: 'parks',
+    files: [
+      { file: 'parks.json', sha256: sha256('{"name":"parks"}') },
+      { file: 'parks.documents.ndjson', sha256: sha256('{"id":"1"}\n') }
+    ]
+  }];
+  assert.deepStrictEqual(await checkManifestFiles(dir, engines), []);
+});
+
+test('reports missing and changed files', async (t) => {
+  const dir = await tempDir(t);
+  await fs.writeFile(path.join(dir, 'parks.json'), '{"name":"parks","changed":true}');
+  const engines = [
+    { name: 'parks', files: [{ file: 'parks.json', sha256: sha256('{"name":"parks"}') }] },
+    { name: 'lakes', files: [{ file: 'lakes.json', sha256: sha256('{}') }] }
+  ];
+  assert.deepStrictEqual(await checkManifestFiles(dir, engines), [
+    'parks.json: checksum mismatch',
+    'lakes.json: missing'
+  ]);
+});
+
+test('reads a version 1 manifest and rejects anything else', async (t) => {
+  const dir = await tempDir(t);
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+
+  await fs.writeFile(manifestPath, JSON.stringify({ manifest_version: 1, engines: [] }));
+  assert.deepStrictEqual(await readManifest(dir), { manifest_version: 1, engines: [] });
+
+  await fs.writeFile(manifestPath, JSON.stringify({ manifest_version: 2, engines: [] }));
+  await assert.rejects(readManifest(dir), (err) => err instanceof ValidationError &&
+    err.errors[0] === '$.manifest_version: unsupported or missing');
+
+  await fs.writeFile(manifestPath, '{');
+  await assert.rejects(readManifest(dir), ValidationError);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, formatCsv } = require('../csv-format');
+
+test('splits rows and cells, each row with the line it starts on', () => {
+  assert.deepStrictEqual(parseCsv('a,b\n\nc,,d\r\ne'), [
+    { cells: ['a', 'b'], line: 1 },
+    { cells: ['c', '', 'd'], line: 3 },
+    { cells: ['e'], line: 4 }
+  ]);
+});
+
+test('reads quoted cells with commas, quotes and line breaks', () => {
+  assert.deepStrictEqual(parseCsv('"a, b","say ""hi""","two\nlines"\nnext\n'), [
+    { cells: ['a, b', 'say "hi"', 'two\nlines'], line: 1 },
+    { cells: ['next'], line: 3 }
+  ]);
+});
+
+test('skips a byte order mark and rejects an unterminated quote', () => {
+  assert.deepStrictEqual(parseCsv('\ufeffa,b\n'), [{ cells: ['a', 'b'], line: 1 }]);
+  assert.throws(() => parseCsv('a\n"b,c\nd\n'), { message: 'line 2: unterminated quoted cell' });
+});
+
+test('quotes only the cells that need it and reads them back', () => {
+  const rows = [['plain', 'a, b', 'say "hi"', 'two\nlines', ' padded', null, undefined, 3]];
+  const text = formatCsv(rows);
+  assert.strictEqual(text, 'plain,"a, b","say ""hi""","two\nlines"," padded",,,3\n');
+  assert.deepStrictEqual(parseCsv(text)[0].cells, ['plain', 'a, b', 'say "hi"', 'two\nlines', ' padded', '', '', '3']);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { readSectionFile, writeSectionFile, mergeSynonyms, mergeCurations } = require('../editable-sections');
+const { ValidationError } = require('../errors');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'editable-sections-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Writes text to a file in dir and reads it back as a section file
+async function readText(dir, section, file, text) {
+  const filePath = path.join(dir, file);
+  await fs.writeFile(filePath, text);
+  return readSectionFile(section, filePath);
+}
+
+// The errors of the ValidationError that reading the text throws
+async function errorsOf(dir, section, file, text) {
+  try {
+    await readText(dir, section, file, text);
+  } catch (err) {
+    assert.ok(err instanceof ValidationError, `expected a ValidationError, got ${err}`);
+    assert.strictEqual(err.source, path.join(dir, file));
+    return err.errors;
+  }
+  assert.fail('expected a ValidationError');
+}
+
+test('reads synonyms and curations from CSV', async (t) => {
+  const dir = await tempDir(t);
+  assert.deepStrictEqual(await readText(dir, 'synonyms', 'synonyms.csv', 'synonyms\nhill,mountain,\n\n"lake, big",pond\n'),
+    [{ synonyms: ['hill', 'mountain'] }, { synonyms: ['lake, big', 'pond'] }]);
+  assert.deepStrictEqual(await readText(dir, 'curations', 'curations.csv', 'Query,Hidden,Promoted\npark | trail,c,a | b\n'),
+    [{ queries: ['park', 'trail'], promoted: ['a', 'b'], hidden: ['c'] }]);
+});
+
+test('reads synonyms and curations from YAML', async (t) => {
+  const dir = await tempDir(t);
+  assert.deepStrictEqual(await readText(dir, 'synonyms', 'synonyms.yaml', '- [hill, mountain]\n- synonyms: [lake, pond]\n'),
+    [{ synonyms: ['hill', 'mountain'] }, { synonyms: ['lake', 'pond'] }]);
+  assert.deepStrictEqual(await readText(dir, 'curations', 'curations.yml', '- query: park\n  promoted: a\n'),
+    [{ queries: ['park'], promoted: ['a'], hidden: [] }]);
+  assert.deepStrictEqual(await readText(dir, 'synonyms', 'empty.yaml', ''), []);
+});
+
+test('lists every invalid row with its row and line', async (t) => {
+  const dir = await tempDir(t);
+  assert.deepStrictEqual(await errorsOf(dir, 'synonyms', 'synonyms.csv', 'synonyms\nhill\n\nLake,lake\nlake,pond\npond,lake\n'), [
+    'row 1 (line 2): a synonym set needs at least two different words',
+    'row 2 (line 4): word "lake" appears twice',
+    'row 2 (line 4): a synonym set needs at least two different words',
+    'row 4 (line 6): same synonym set as row 3 (line 5)'
+  ]);
+  assert.deepStrictEqual(await errorsOf(dir, 'curations', 'curations.csv', 'query,promoted,hidden\n,a,\npark,a | a,\nPark,b,b\n'), [
+    'row 1 (line 2): no query',
+    'row 2 (line 3): id "a" is promoted twice',
+    'row 3 (line 4): duplicate query "Park", already curated in row 2 (line 3)',
+    'row 3 (line 4): id "b" is both promoted and hidden'
+  ]);
+  assert.deepStrictEqual(await errorsOf(dir, 'curations', 'curations.yaml', '- queries: [park]\n  boost: 2\n- just text\n'), [
+    'row 1 (line 1): unknown key(s) boost, expected queries, promoted, hidden',
+    'row 2 (line 3): expected { queries, promoted, hidden }'
+  ]);
+});
+
+test('reports a file that cannot be parsed by line', async (t) => {
+  const dir = await tempDir(t);
+  assert.deepStrictEqual(await errorsOf(dir, 'synonyms', 'synonyms.csv', 'words\nhill,mountain\n'),
+    ['line 1: expected a header row starting with "synonyms"']);
+  assert.deepStrictEqual(await errorsOf(dir, 'curations', 'curations.csv', 'query,boost\n'),
+    ['line 1: expected a header row with the columns query, promoted, hidden, found unknown column(s) boost']);
+  assert.deepStrictEqual(await errorsOf(dir, 'curations', 'quote.csv', 'query,promoted,hidden\n"park,a,\n'),
+    ['line 2: unterminated quoted cell']);
+  assert.deepStrictEqual(await errorsOf(dir, 'synonyms', 'map.yaml', 'hill: mountain\n'), ['line 1: expected a list']);
+  const [yamlError] = await errorsOf(dir, 'synonyms', 'broken.yaml', '- [hill, mountain\n');
+  assert.match(yamlError, /^line \d+: /);
+});
+
+test('writes files that read back the same', async (t) => {
+  const dir = await tempDir(t);
+  const curations = [{ queries: ['park', 'trail'], promoted: ['a', 'b'], hidden: ['c'] }, { queries: ['lake'], promoted: [], hidden: ['d'] }];
+  const synonyms = [{ synonyms: ['hill', 'mountain'] }, { synonyms: ['lake, big', 'pond'] }];
+  for (const extension of ['csv', 'yaml']) {
+    await writeSectionFile('curations', path.join(dir, `curations.${extension}`), curations);
+    await writeSectionFile('synonyms', path.join(dir, `synonyms.${extension}`), synonyms);
+    assert.deepStrictEqual(await readSectionFile('curations', path.join(dir, `curations.${extension}`)), curations);
+    assert.deepStrictEqual(await readSectionFile('synonyms', path.join(dir, `synonyms.${extension}`)), synonyms);
+  }
+});
+
+test('merges synonym sets the engine does not have yet', () => {
+  const live = [{ id: 's1', synonyms: ['hill', 'mountain'] }];
+  assert.deepStrictEqual(mergeSynonyms(live, [{ synonyms: ['mountain', 'hill'] }, { synonyms: ['lake', 'pond'] }]),
+    [{ id: 's1', synonyms: ['hill', 'mountain'] }, { synonyms: ['lake', 'pond'] }]);
+});
+
+test('merges curations, the file winning per query and emptied rows clearing theirs', () => {
+  const live = [
+    { id: 'c1', queries: ['park', 'trail'], promoted: ['a'], hidden: [] },
+    { id: 'c2', queries: ['lake'], promoted: ['b'], hidden: [] },
+    { id: 'c3', queries: ['hill'], promoted: ['c'], hidden: [] }
+  ];
+  const fromFile = [{ queries: ['Park'], promoted: ['x'], hidden: [] }];
+  assert.deepStrictEqual(mergeCurations(live, fromFile, ['lake']), [
+    { id: 'c1', queries: ['trail'], promoted: ['a'], hidden: [] },
+    { id: 'c3', queries: ['hill'], promoted: ['c'], hidden: [] },
+    { queries: ['Park'], promoted: ['x'], hidden: [] }
+  ]);
+});
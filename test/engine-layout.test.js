@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { canonicalEngineJson, writeEngineDir, readEngineDir } = require('../engine-layout');
+
+const engineJson = () => ({
+  format_version: 2,
+  metadata: { exported_at: '2024-05-01T00:00:00Z', host: 'dev' },
+  schema: { title: 'text', body: 'text' },
+  synonyms: [{ id: 'syn-2', synonyms: ['lake', 'pond'] }, { id: 'syn-1', synonyms: ['hill', 'bluff', 'mountain'] }],
+  curations: [{ id: 'cur-1', queries: ['trail', 'park'], promoted: ['b', 'a'], hidden: ['z', 'y'] }],
+  crawler: {
+    domains: [
+      {
+        id: 'dom-2',
+        name: 'https://www.b.example',
+        created_at: '2024-01-01T00:00:00Z',
+        document_count: 10,
+        default_crawl_rule: { id: 'rule-default', policy: 'allow', rule: 'regex', pattern: '.*', created_at: 'x' },
+        extraction_rules: [{ id: 'ext-1', rules: [{ id: 'ext-rule-1', selector: 'h1', updated_at: 'x' }] }]
+      },
+      { id: 'dom-1', name: 'https://www.a.example' }
+    ],
+    crawlRules: [
+      { id: 'rule-2', domain_id: 'dom-2', policy: 'deny', rule: 'begins', pattern: '/b' },
+      { id: 'rule-1', domain_id: 'dom-1', policy: 'deny', rule: 'begins', pattern: '/z' },
+      { id: 'rule-3', domain_id: 'dom-2', policy: 'allow', rule: 'begins', pattern: '/a' }
+    ]
+  }
+});
+
+test('sorts keys, synonym words and hidden documents but keeps the promoted order', () => {
+  const result = canonicalEngineJson(engineJson());
+  assert.deepStrictEqual(Object.keys(result.schema), ['body', 'title']);
+  assert.deepStrictEqual(result.synonyms.map(set => set.synonyms), [['bluff', 'hill', 'mountain'], ['lake', 'pond']]);
+  assert.deepStrictEqual(result.curations[0].queries, ['park', 'trail']);
+  assert.deepStrictEqual(result.curations[0].promoted, ['b', 'a']);
+  assert.deepStrictEqual(result.curations[0].hidden, ['y', 'z']);
+  assert.strictEqual(result.synonyms[0].id, 'syn-1');
+});
+
+test('sorts domains and crawl rules by domain, keeping the rule order within a domain', () => {
+  const result = canonicalEngineJson(engineJson());
+  assert.deepStrictEqual(result.crawler.domains.map(d => d.name), ['https://www.a.example', 'https://www.b.example']);
+  assert.deepStrictEqual(result.crawler.crawlRules.map(r => r.id), ['rule-1', 'rule-2', 'rule-3']);
+});
+
+test('is the same for the same engine in any order', () => {
+  const shuffled = engineJson();
+  shuffled.synonyms.reverse();
+  shuffled.crawler.domains.reverse();
+  assert.deepStrictEqual(canonicalEngineJson(shuffled), canonicalEngineJson(engineJson()));
+});
+
+test('strips ids and timestamps at every depth with stripIds', () => {
+  const result = canonicalEngineJson(engineJson(), { stripIds: true });
+  assert.deepStrictEqual(result.metadata, { host: 'dev' });
+  assert.strictEqual(result.synonyms.some(set => 'id' in set), false);
+  assert.strictEqual('id' in result.curations[0], false);
+
+  const domain = result.crawler.domains[1];
+  assert.deepStrictEqual(Object.keys(domain), ['default_crawl_rule', 'extraction_rules', 'name']);
+  assert.deepStrictEqual(domain.default_crawl_rule, { pattern: '.*', policy: 'allow', rule: 'regex' });
+  assert.deepStrictEqual(domain.extraction_rules, [{ rules: [{ selector: 'h1' }] }]);
+  // Crawl rules point at their domain by name
+  assert.deepStrictEqual(result.crawler.crawlRules.map(r => r.domain_id),
+    ['https://www.a.example', 'https://www.b.example', 'https://www.b.example']);
+  assert.strictEqual(result.crawler.crawlRules.some(r => 'id' in r), false);
+});
+
+test('writes one file per section and reads them back', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'engine-layout-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const written = await writeEngineDir(dir, engineJson());
+  assert.deepStrictEqual((await fs.readdir(dir)).sort(),
+    ['crawler.json', 'curations.json', 'engine.json', 'schema.json', 'synonyms.json']);
+  assert.deepStrictEqual(await readEngineDir(dir), written);
+
+  // A section that is gone is removed, sections outside options.sections are left alone
+  const withoutSynonyms = Object.assign(engineJson(), { synonyms: undefined, curations: undefined });
+  await writeEngineDir(dir, withoutSynonyms, { sections: ['synonyms'] });
+  assert.deepStrictEqual((await fs.readdir(dir)).sort(),
+    ['crawler.json', 'curations.json', 'engine.json', 'schema.json']);
+});
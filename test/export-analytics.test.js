@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyticsRange } = require('../export-analytics');
+const { EntsporterError } = require('../errors');
+
+test('reads dates as whole days, --to including its day', () => {
+  assert.deepStrictEqual(analyticsRange({ from: '2024-05-01', to: '2024-05-31' }),
+    { from: '2024-05-01T00:00:00.000Z', to: '2024-05-31T23:59:59.999Z' });
+  assert.deepStrictEqual(analyticsRange({ from: '2024-05-01', to: '2024-05-01' }),
+    { from: '2024-05-01T00:00:00.000Z', to: '2024-05-01T23:59:59.999Z' });
+});
+
+test('takes dates with a time as they are', () => {
+  assert.deepStrictEqual(analyticsRange({ from: '2024-05-01T06:00:00Z', to: new Date('2024-05-02T06:00:00Z') }),
+    { from: '2024-05-01T06:00:00.000Z', to: '2024-05-02T06:00:00.000Z' });
+});
+
+test('defaults to the 30 days before --to', () => {
+  assert.deepStrictEqual(analyticsRange({ to: '2024-05-31T00:00:00Z' }),
+    { from: '2024-05-01T00:00:00.000Z', to: '2024-05-31T00:00:00.000Z' });
+});
+
+test('rejects an empty range', () => {
+  assert.throws(() => analyticsRange({ from: '2024-05-02', to: '2024-05-01' }), EntsporterError);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isTransientError, isIdempotentCall } = require('../request-policy');
+
+const withStatus = (statusCode) => ({ meta: { statusCode } });
+
+test('retries timeouts, rate limiting and gateway errors of idempotent calls', () => {
+  for (const status of [408, 429, 502, 503, 504]) {
+    assert.strictEqual(isTransientError(withStatus(status), true), true, `status ${status}`);
+  }
+  for (const status of [400, 401, 404, 500]) {
+    assert.strictEqual(isTransientError(withStatus(status), true), false, `status ${status}`);
+  }
+  assert.strictEqual(isTransientError({ statusCode: 503 }, true), true);
+});
+
+test('retries non-idempotent calls only on failures that cannot have been applied', () => {
+  assert.strictEqual(isTransientError(withStatus(429), false), true);
+  assert.strictEqual(isTransientError(withStatus(503), false), true);
+  assert.strictEqual(isTransientError(withStatus(504), false), false);
+  assert.strictEqual(isTransientError({ code: 'ECONNREFUSED' }, false), true);
+  assert.strictEqual(isTransientError({ code: 'ECONNRESET' }, false), false);
+});
+
+test('finds the error code in the cause or the message', () => {
+  assert.strictEqual(isTransientError({ cause: { code: 'ECONNRESET' } }, true), true);
+  assert.strictEqual(isTransientError({ name: 'Error', message: 'connect ECONNREFUSED 127.0.0.1:3002' }, true), true);
+  assert.strictEqual(isTransientError({ name: 'ConnectionError', message: 'socket hang up' }, true), true);
+  assert.strictEqual(isTransientError({ name: 'Error', message: 'bad request' }, true), false);
+  assert.strictEqual(isTransientError(null, true), false);
+});
+
+test('treats creating calls and documents without ids as non-idempotent', () => {
+  assert.strictEqual(isIdempotentCall('getEngine', {}), true);
+  assert.strictEqual(isIdempotentCall('putSchema', {}), true);
+  assert.strictEqual(isIdempotentCall('createSynonymSet', {}), false);
+  assert.strictEqual(isIdempotentCall('addMetaEngineSource', {}), false);
+  assert.strictEqual(isIdempotentCall('logClickthrough', {}), false);
+  assert.strictEqual(isIdempotentCall('indexDocuments', { documents: [{ id: 'a' }, { id: 0 }] }), true);
+  assert.strictEqual(isIdempotentCall('indexDocuments', { documents: [{ id: 'a' }, { title: 'b' }] }), false);
+});
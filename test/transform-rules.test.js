@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateTransformRules, mapEngineName, transformEngineJson } = require('../transform-rules');
+
+const engineJson = () => ({
+  name: 'dev-parks',
+  schema: { dev_title: 'text', visitors: 'number', debug_notes: 'text' },
+  searchSettings: {
+    search_fields: { dev_title: { weight: 2 }, debug_notes: { weight: 1 } },
+    result_fields: { dev_title: { raw: {} }, visitors: { raw: {} } },
+    boosts: { visitors: [{ type: 'functional', function: 'logarithmic', operation: 'multiply', factor: 1 }] },
+    precision: 2
+  },
+  read_only: { type: 'meta', source_engines: ['dev-parks-a', 'other'] }
+});
+
+test('reports unknown rules and malformed values by path', () => {
+  assert.deepStrictEqual(validateTransformRules({
+    rename_fields: { a: '' },
+    drop_fields: 'a',
+    boost_factors: { visitors: '2' },
+    engine_names: [{ match: '(', replace: 'x' }],
+    extra: true
+  }), [
+    '$.extra: unknown rule, expected one of rename_fields, drop_fields, boost_factors, overrides, engine_names',
+    '$.rename_fields.a: expected a field name',
+    '$.drop_fields: expected a list of field names',
+    '$.boost_factors.visitors: expected a number',
+    '$.engine_names[0].match: Invalid regular expression: /(/: Unterminated group'
+  ]);
+  assert.deepStrictEqual(validateTransformRules([]), ['$: expected an object']);
+  assert.deepStrictEqual(validateTransformRules({}), []);
+});
+
+test('maps engine names with the first matching rule', () => {
+  const rules = { engine_names: [{ match: '^dev-(.*)$', replace: 'prod-$1' }, { match: '.*', replace: 'fallback' }] };
+  assert.strictEqual(mapEngineName(rules, 'dev-parks'), 'prod-parks');
+  assert.strictEqual(mapEngineName(rules, 'parks'), 'fallback');
+  assert.strictEqual(mapEngineName({}, 'parks'), 'parks');
+});
+
+test('renames and drops fields in the schema and the field sections, keeping the key order', () => {
+  const result = transformEngineJson(engineJson(), { rename_fields: { dev_title: 'title' }, drop_fields: ['debug_notes'] });
+  assert.deepStrictEqual(Object.keys(result.schema), ['title', 'visitors']);
+  assert.deepStrictEqual(result.searchSettings.search_fields, { title: { weight: 2 } });
+  assert.deepStrictEqual(Object.keys(result.searchSettings.result_fields), ['title', 'visitors']);
+});
+
+test('does not treat Object.prototype properties as renames', () => {
+  const source = { name: 'parks', schema: { constructor: 'text', toString: 'text', title: 'text' } };
+  const result = transformEngineJson(source, { rename_fields: { title: 'name' } });
+  assert.deepStrictEqual(result.schema, { constructor: 'text', toString: 'text', name: 'text' });
+});
+
+test('rejects a rename onto an existing field', () => {
+  assert.throws(() => transformEngineJson(engineJson(), { rename_fields: { dev_title: 'visitors' } }),
+    /\$\.schema: renaming .* collides with an existing field/);
+});
+
+test('sets boost factors, deep-merges overrides and maps meta engine sources', () => {
+  const source = engineJson();
+  const result = transformEngineJson(source, {
+    boost_factors: { visitors: 2.5, missing: 3 },
+    overrides: { searchSettings: { precision: 4, result_fields: { visitors: null } }, engineSettings: { language: 'en' } },
+    engine_names: [{ match: '^dev-(.*)$', replace: 'prod-$1' }]
+  });
+  assert.strictEqual(result.searchSettings.boosts.visitors[0].factor, 2.5);
+  assert.strictEqual(result.searchSettings.precision, 4);
+  assert.deepStrictEqual(result.searchSettings.result_fields, { dev_title: { raw: {} } });
+  assert.deepStrictEqual(result.engineSettings, { language: 'en' });
+  assert.deepStrictEqual(result.read_only.source_engines, ['prod-parks-a', 'other']);
+  // The input is left alone
+  assert.strictEqual(source.searchSettings.precision, 2);
+});
+
+test('removes a section overridden with null', () => {
+  const result = transformEngineJson(engineJson(), { overrides: { searchSettings: null } });
+  assert.strictEqual('searchSettings' in result, false);
+});
@@ -0,0 +1,232 @@
+// transform-rules.js
+//
+// Declarative changes applied to an engine JSON before it is imported, for
+// controlled differences between environments. Rules file (YAML or JSON):
+//
+//   rename_fields:            # in schema, search_fields, result_fields and boosts
+//     dev_title: title
+//   drop_fields:
+//     - debug_notes
+//   boost_factors:            # factor of every boost on the field
+//     visitors: 2.5
+//   overrides:                # deep-merged into sections, null removes a key
+//     searchSettings:
+//       precision: 4
+//   engine_names:             # first match wins, applied before --target-prefix
+//     - match: '^dev-(.*)$'
+//       replace: 'prod-$1'
+//
+// Rules run in that order. Engine name mapping also applies to the source
+// engines of meta engines, so they keep pointing at the migrated engines.
+
+const fs = require('fs/promises');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+const { validateEngineJson } = require('./engine-format');
+
+const RULE_KEYS = ['rename_fields', 'drop_fields', 'boost_factors', 'overrides', 'engine_names'];
+const FIELD_SECTIONS = ['search_fields', 'result_fields', 'boosts'];
+
+/* -----------------------
+   Reading
+   ----------------------- */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns a list of "<path>: <problem>" strings, empty when the rules are valid
+function validateTransformRules(rules) {
+  if (!isPlainObject(rules)) return ['$: expected an object'];
+  const errors = [];
+
+  for (const key of Object.keys(rules)) {
+    if (!RULE_KEYS.includes(key)) errors.push(`$.${key}: unknown rule, expected one of ${RULE_KEYS.join(', ')}`);
+  }
+  if (rules.rename_fields !== undefined) {
+    if (!isPlainObject(rules.rename_fields)) {
+      errors.push('$.rename_fields: expected an object of old name -> new name');
+    } else {
+      for (const [from, to] of Object.entries(rules.rename_fields)) {
+        if (typeof to !== 'string' || !to) errors.push(`$.rename_fields.${from}: expected a field name`);
+      }
+    }
+  }
+  if (rules.drop_fields !== undefined &&
+      (!Array.isArray(rules.drop_fields) || rules.drop_fields.some(field => typeof field !== 'string'))) {
+    errors.push('$.drop_fields: expected a list of field names');
+  }
+  if (rules.boost_factors !== undefined) {
+    if (!isPlainObject(rules.boost_factors)) {
+      errors.push('$.boost_factors: expected an object of field -> factor');
+    } else {
+      for (const [field, factor] of Object.entries(rules.boost_factors)) {
+        if (typeof factor !== 'number') errors.push(`$.boost_factors.${field}: expected a number`);
+      }
+    }
+  }
+  if (rules.overrides !== undefined && !isPlainObject(rules.overrides)) {
+    errors.push('$.overrides: expected an object of section -> values');
+  }
+  if (rules.engine_names !== undefined) {
+    if (!Array.isArray(rules.engine_names)) {
+      errors.push('$.engine_names: expected a list of { match, replace }');
+    } else {
+      rules.engine_names.forEach((rule, i) => {
+        if (!isPlainObject(rule) || typeof rule.match !== 'string' || typeof rule.replace !== 'string') {
+          errors.push(`$.engine_names[${i}]: expected { match, replace } strings`);
+          return;
+        }
+        try {
+          new RegExp(rule.match);
+        } catch (err) {
+          errors.push(`$.engine_names[${i}].match: ${err.message}`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+async function readTransformRules(filePath) {
+  let rules;
+  try {
+    const text = await fs.readFile(filePath, { encoding: 'utf8' });
+    rules = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new ValidationError(`Could not read transform rules ${filePath}: ${err.message || err}`, {
+      source: filePath,
+      errors: [`$: ${err.message || err}`]
+    });
+  }
+
+  const errors = validateTransformRules(rules);
+  if (errors.length) {
+    throw new ValidationError(`Invalid transform rules ${filePath}:\n${errors.map(error => `  ${error}`).join('\n')}`, {
+      source: filePath,
+      errors
+    });
+  }
+  return rules;
+}
+
+/* -----------------------
+   Rules
+   ----------------------- */
+
+// Maps an engine name with the first matching engine_names rule
+function mapEngineName(rules, engineName) {
+  for (const rule of (rules && rules.engine_names) || []) {
+    const pattern = new RegExp(rule.match);
+    if (pattern.test(engineName)) return engineName.replace(pattern, rule.replace);
+  }
+  return engineName;
+}
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Renames keys of a field-keyed object, keeping the key order. Field names
+// are looked up as own keys only: a field called constructor is a field.
+function renameKeys(object, renames, where) {
+  if (!isPlainObject(object)) return object;
+  const renamed = {};
+  for (const [key, value] of Object.entries(object)) {
+    const name = hasOwn(renames, key) ? renames[key] : key;
+    if (hasOwn(renamed, name)) {
+      throw new Error(`${where}: renaming ${key} to ${name} collides with an existing field`);
+    }
+    renamed[name] = value;
+  }
+  return renamed;
+}
+
+function dropKeys(object, fields) {
+  if (!isPlainObject(object)) return object;
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)));
+}
+
+// Objects are merged key by key, anything else replaces the value, null deletes it
+function deepMerge(target, source) {
+  const merged = isPlainObject(target) ? Object.assign({}, target) : {};
+  for (const [key, value] of Object.entries(source)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = deepMerge(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+// Returns a transformed copy of engineJson
+function transformEngineJson(engineJson, rules) {
+  const result = JSON.parse(JSON.stringify(engineJson));
+  const renames = rules.rename_fields || {};
+  const dropped = rules.drop_fields || [];
+
+  if (Object.keys(renames).length || dropped.length) {
+    result.schema = dropKeys(renameKeys(result.schema, renames, '$.schema'), dropped);
+    if (isPlainObject(result.searchSettings)) {
+      for (const section of FIELD_SECTIONS) {
+        result.searchSettings[section] = dropKeys(
+          renameKeys(result.searchSettings[section], renames, `$.searchSettings.${section}`), dropped);
+      }
+    }
+  }
+
+  const boosts = result.searchSettings && result.searchSettings.boosts;
+  for (const [field, factor] of Object.entries(rules.boost_factors || {})) {
+    if (!isPlainObject(boosts) || !Array.isArray(boosts[field])) continue;
+    boosts[field] = boosts[field].map(boost => Object.assign({}, boost, { factor }));
+  }
+
+  for (const [section, values] of Object.entries(rules.overrides || {})) {
+    if (values === null) {
+      delete result[section];
+    } else if (isPlainObject(values) && !Array.isArray(result[section])) {
+      result[section] = deepMerge(result[section], values);
+    } else {
+      result[section] = values;
+    }
+  }
+
+  if (result.read_only && Array.isArray(result.read_only.source_engines)) {
+    result.read_only.source_engines = result.read_only.source_engines.map(name => mapEngineName(rules, name));
+  }
+  return result;
+}
+
+// Applies options.transform (a rules file path or a rules object) to the
+// engine JSON and validates the result. Without a transform the JSON is
+// returned unchanged.
+async function applyTransform(engineJson, transform) {
+  if (!transform) return engineJson;
+  const rules = typeof transform === 'string' ? await readTransformRules(transform) : transform;
+  const source = typeof transform === 'string' ? transform : 'rules object';
+
+  let transformed;
+  let errors;
+  try {
+    transformed = transformEngineJson(engineJson, rules);
+    errors = validateEngineJson(transformed);
+  } catch (err) {
+    errors = [err.message];
+  }
+  if (errors.length) {
+    throw new ValidationError(`Engine JSON is invalid after applying transform rules ${source}:\n` +
+      errors.map(error => `  ${error}`).join('\n'), { source, errors });
+  }
+
+  console.log(`Applied transform rules from ${source}`);
+  return transformed;
+}
+
+module.exports = {
+  validateTransformRules,
+  readTransformRules,
+  mapEngineName,
+  transformEngineJson,
+  applyTransform
+};
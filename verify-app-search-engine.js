@@ -0,0 +1,239 @@
+// verify-app-search-engine.js
+//
+// Checks an imported engine against what was imported. Two kinds of
+// differences are reported separately:
+//
+//   configuration - the target is re-exported and compared section by
+//                   section with the input JSON (same diff as plan)
+//   ranking       - smoke queries run against the source and the target
+//                   engine; the top-N result ids and whether a curation was
+//                   applied are compared
+//
+// Smoke query file (YAML or JSON), either a list used for every engine or
+// a default list plus lists per source engine name:
+//
+//   - national park
+//   - query: yellowstone
+//     filters: { states: ['Wyoming'] }     # other search options are sent as-is
+//
+//   queries: [national park]
+//   engines:
+//     parks: [yellowstone]
+//
+// The <engine>.analytics.json of export-analytics works too, its top queries
+// are run; bulk-export-analytics writes the per-engine form.
+
+const fs = require('fs/promises');
+const YAML = require('yaml');
+const { buildEngineJson, exportCurations } = require('./export-app-search-engine');
+const { diffEngine, countChanges } = require('./diff-app-search-engine');
+const { loadEngineJson } = require('./engine-format');
+const { applyTransform } = require('./transform-rules');
+const { formatPlan } = require('./plan-app-search-engine');
+const { createClient } = require('./request-policy');
+const { parsePositiveInt } = require('./option-parsers');
+const { topQueriesOf } = require('./export-analytics');
+const { ValidationError, toApiError } = require('./errors');
+
+const DEFAULT_TOP_N = 10;
+
+/* -----------------------
+   Smoke queries
+   ----------------------- */
+
+function normalizeQuery(entry, i, source) {
+  if (typeof entry === 'string') return { query: entry };
+  if (entry && typeof entry === 'object' && typeof entry.query === 'string') return entry;
+  throw new ValidationError(`Invalid smoke query ${source}[${i}]: expected a string or { query }`, {
+    source,
+    errors: [`$[${i}]: expected a string or { query }`]
+  });
+}
+
+async function readSmokeQueries(filePath) {
+  let parsed;
+  try {
+    const text = await fs.readFile(filePath, { encoding: 'utf8' });
+    parsed = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new ValidationError(`Could not read smoke queries ${filePath}: ${err.message || err}`, {
+      source: filePath,
+      errors: [`$: ${err.message || err}`]
+    });
+  }
+
+  if (parsed && Array.isArray(parsed.top_queries)) {
+    parsed = topQueriesOf(parsed);
+  }
+  const file = Array.isArray(parsed) ? { queries: parsed } : (parsed || {});
+  return {
+    queries: (file.queries || []).map((entry, i) => normalizeQuery(entry, i, filePath)),
+    engines: Object.fromEntries(Object.entries(file.engines || {}).map(([name, queries]) =>
+      [name, (queries || []).map((entry, i) => normalizeQuery(entry, i, `${filePath} engines.${name}`))]))
+  };
+}
+
+function smokeQueriesFor(smokeQueries, sourceEngine) {
+  if (!smokeQueries) return [];
+  return smokeQueries.engines[sourceEngine] || smokeQueries.queries;
+}
+
+// Meta engine results carry the source engine in id.raw, so the document id
+// comes from _meta when it is there
+function resultId(result) {
+  return String((result._meta && result._meta.id) || (result.id && result.id.raw));
+}
+
+async function topResultIds(client, engineName, smokeQuery, topN) {
+  const { query, ...searchOptions } = smokeQuery;
+  const body = Object.assign({}, searchOptions, { query, page: { size: topN, current: 1 } });
+  try {
+    const response = await client.app.search({ engine_name: engineName, body });
+    return (response.results || []).map(resultId);
+  } catch (err) {
+    throw toApiError(err, `smoke query "${query}"`, engineName);
+  }
+}
+
+// A curation counts as applied when its promoted documents lead the results
+// in order and none of its hidden documents show up
+function curationFor(curations, query) {
+  const normalized = query.trim().toLowerCase();
+  return (curations || []).find(curation =>
+    (curation.queries || []).some(q => q.trim().toLowerCase() === normalized)) || null;
+}
+
+function curationApplied(curation, ids) {
+  if (!curation) return false;
+  const promoted = curation.promoted || [];
+  const leading = ids.slice(0, promoted.length);
+  return promoted.every((id, i) => leading[i] === id || i >= ids.length) &&
+    !(curation.hidden || []).some(id => ids.includes(id));
+}
+
+function compareResults(sourceIds, targetIds) {
+  const onlySource = sourceIds.filter(id => !targetIds.includes(id));
+  const onlyTarget = targetIds.filter(id => !sourceIds.includes(id));
+  const sameOrder = sourceIds.length === targetIds.length && sourceIds.every((id, i) => targetIds[i] === id);
+  return { same_order: sameOrder, only_in_source: onlySource, only_in_target: onlyTarget };
+}
+
+/* -----------------------
+   Verify
+   ----------------------- */
+
+// Options: appSearchEndpoint/appSearchPrivateKey (the target), the input
+// (engineJson, inputJson or inputDir, plus transform), and for smoke queries
+// smokeQueries (file path or parsed), sourceEndpoint/sourceKey, sourceEngine
+// (default: the name in the input JSON) and topN.
+// Resolves to the report; report.ok is false when anything differs.
+async function verifyAppSearchEngine(engineName, options) {
+  console.log(`Verifying engine ${engineName}, host: ${options.appSearchEndpoint}`);
+  const targetClient = createClient(options.appSearchEndpoint, options.appSearchPrivateKey);
+  const desired = await applyTransform(await loadEngineJson(options), options.transform);
+
+  // Configuration: re-export the target and diff it with the input
+  const live = await buildEngineJson(targetClient, engineName, {
+    appSearchEndpoint: options.appSearchEndpoint,
+    appSearchPrivateKey: options.appSearchPrivateKey,
+    only: options.only,
+    skip: options.skip
+  });
+  const configDiff = diffEngine(desired, live, options);
+  const configuration = { changes: countChanges(configDiff), diff: configDiff };
+
+  // Ranking: the same smoke queries against source and target
+  const smokeQueries = typeof options.smokeQueries === 'string'
+    ? await readSmokeQueries(options.smokeQueries)
+    : options.smokeQueries;
+  const sourceEngine = options.sourceEngine || (desired.read_only && desired.read_only.name) || engineName;
+  const queries = smokeQueriesFor(smokeQueries, sourceEngine);
+  const topN = options.topN || DEFAULT_TOP_N;
+  const ranking = [];
+
+  if (queries.length) {
+    if (!options.sourceEndpoint || !options.sourceKey) {
+      throw new ValidationError('Smoke queries need the source cluster: --source-endpoint and --source-key, or --source-env', {
+        source: 'options',
+        errors: ['sourceEndpoint and sourceKey are required with smoke queries']
+      });
+    }
+    const sourceClient = createClient(options.sourceEndpoint, options.sourceKey);
+    const sourceCurations = await exportCurations(sourceClient, sourceEngine);
+
+    for (const smokeQuery of queries) {
+      const sourceIds = await topResultIds(sourceClient, sourceEngine, smokeQuery, topN);
+      const targetIds = await topResultIds(targetClient, engineName, smokeQuery, topN);
+      const sourceCurated = curationApplied(curationFor(sourceCurations, smokeQuery.query), sourceIds);
+      const targetCurated = curationApplied(curationFor(live.curations, smokeQuery.query), targetIds);
+      const comparison = compareResults(sourceIds, targetIds);
+      ranking.push(Object.assign({
+        query: smokeQuery.query,
+        status: comparison.same_order && sourceCurated === targetCurated ? 'same' : 'different',
+        source_ids: sourceIds,
+        target_ids: targetIds,
+        curation_applied: { source: sourceCurated, target: targetCurated }
+      }, comparison));
+    }
+  }
+
+  const rankingDifferences = ranking.filter(entry => entry.status !== 'same').length;
+  const report = {
+    engine: engineName,
+    source_engine: sourceEngine,
+    verified_at: new Date().toISOString(),
+    ok: configuration.changes === 0 && rankingDifferences === 0,
+    configuration,
+    ranking: { top_n: topN, queries: ranking.length, differences: rankingDifferences, results: ranking }
+  };
+
+  printReport(report);
+  if (options.outputJson) {
+    console.log(`Writing verification report to file ${options.outputJson}`);
+    await fs.writeFile(options.outputJson, JSON.stringify(report, undefined, 2));
+  }
+  return report;
+}
+
+function printReport(report) {
+  console.log('');
+  console.log(`Verification of engine ${report.engine}:`);
+  console.log(`Configuration mismatches: ${report.configuration.changes}`);
+  if (report.configuration.changes) {
+    formatPlan(report.configuration.diff).forEach(line => console.log(line));
+  }
+
+  console.log(`Ranking differences: ${report.ranking.differences} of ${report.ranking.queries} smoke query(ies), top ${report.ranking.top_n}`);
+  for (const entry of report.ranking.results.filter(e => e.status !== 'same')) {
+    console.log(`  "${entry.query}":`);
+    if (entry.curation_applied.source !== entry.curation_applied.target) {
+      console.log(`    curation applied: source ${entry.curation_applied.source}, target ${entry.curation_applied.target}`);
+    }
+    if (entry.only_in_source.length) console.log(`    only in source results: ${entry.only_in_source.join(', ')}`);
+    if (entry.only_in_target.length) console.log(`    only in target results: ${entry.only_in_target.join(', ')}`);
+    if (!entry.same_order && !entry.only_in_source.length && !entry.only_in_target.length) {
+      console.log(`    same results in a different order: source [${entry.source_ids.join(', ')}], target [${entry.target_ids.join(', ')}]`);
+    }
+  }
+  console.log(report.ok ? 'Verification passed.' : 'Verification found differences.');
+}
+
+/* -----------------------
+   CLI options
+   ----------------------- */
+
+// Smoke query options shared by the verify command, import --verify and bulk --verify
+function addSmokeQueryOptions(command, { withSourceCluster = true } = {}) {
+  command.option('--smoke-queries <file>', 'YAML or JSON list of queries to run against source and target, or an analytics JSON from export-analytics');
+  if (withSourceCluster) {
+    command
+      .option('--source-endpoint <value>', 'App Search endpoint of the source cluster, for smoke queries (or use --source-env)')
+      .option('--source-key <value>', 'App Search private key of the source cluster (or use --source-env)')
+      .option('--source-engine <value>', 'Source engine name (default: the name in the input JSON)');
+  }
+  return command.option('--top-n <n>', 'Number of top results compared per smoke query', parsePositiveInt, DEFAULT_TOP_N);
+}
+
+module.exports = verifyAppSearchEngine;
+module.exports.readSmokeQueries = readSmokeQueries;
+module.exports.addSmokeQueryOptions = addSmokeQueryOptions;